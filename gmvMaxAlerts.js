@@ -0,0 +1,371 @@
+/**
+ * GMV Max – alerts
+ *
+ * Alerts_Rules sheet: headers in row 1, one rule per row:
+ *   name           – unique label, e.g. "LIVE CPV too high"
+ *   report         – report id from gmvMaxReports_() (product_campaign_daily, live_campaign_hourly, ...)
+ *   condition      – above | below        metric of each campaign/product/creative's newest fetched row
+ *                                         (or of the run's totals, scope = totals) past `threshold`
+ *                    spike                metric of the newest day more than `threshold` % over the
+ *                                         average of the `days` (default 7) days before it
+ *                    roi_below_bid        roi under roas_bid for the last `days` (default 3) consecutive days
+ *                                         (each day's roas_bid, from the GMVMax_Campaigns version of that day)
+ *                    status_change        creative_delivery_status changed to a non-delivering state
+ *   metric, threshold, days, scope (rows | totals) – as above
+ *   severity       – info | warning | critical
+ *   cooldown_hours – the rule stays quiet this long for the same campaign/product/creative (default 24)
+ *   channel        – email (target: comma-separated addresses) or webhook (target: https URL)
+ *   enabled        – FALSE pauses the rule
+ *   last_fired, last_status – written by the script
+ *
+ * Rules are checked after every run that publishes data. Each firing is recorded in Alerts_Log;
+ * firings are delivered once per channel/target and run. Checking alerts never fails the run.
+ * When each rule last fired for each campaign/product/creative is kept in the hidden
+ * Alerts_Cooldowns sheet, one row per rule and subject, however many there are.
+ */
+const ALERT_RULES_SHEET = 'Alerts_Rules';
+const ALERT_RULE_HEADERS = [
+  'name', 'report', 'condition', 'metric', 'threshold', 'days', 'scope', 'severity', 'cooldown_hours',
+  'channel', 'target', 'enabled', 'last_fired', 'last_status'
+];
+const ALERTS_LOG_SHEET = 'Alerts_Log';
+const ALERTS_LOG_HEADERS = [
+  'ts', 'run_id', 'rule', 'report', 'severity', 'subject', 'value', 'message', 'channel', 'target', 'delivery'
+];
+const ALERT_CONDITIONS = ['above', 'below', 'spike', 'roi_below_bid', 'status_change'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_CHANNELS = ['email', 'webhook'];
+const ALERT_COOLDOWNS_SHEET = 'Alerts_Cooldowns';
+const ALERT_COOLDOWN_HEADERS = ['rule', 'subject_key', 'last_fired'];
+const ALERT_COOLDOWN_KEEP_MS = 30 * 24 * 60 * 60 * 1000;
+const NON_DELIVERING_STATUSES = ['NOT_DELIVERYING', 'AUTHORIZATION_NEEDED', 'EXCLUDED', 'UNAVAILABLE', 'REJECTED'];
+
+/** Create the Alerts_Rules sheet with its headers (an existing sheet is left as it is). */
+function setUpAlertRulesSheet() {
+  const ss = SpreadsheetApp.getActive();
+  if (ss.getSheetByName(ALERT_RULES_SHEET)) return;
+  ss.insertSheet(ALERT_RULES_SHEET).getRange(1, 1, 1, ALERT_RULE_HEADERS.length).setValues([ALERT_RULE_HEADERS]);
+}
+
+/**
+ * Called before a run writes its data: the enabled rules for this report, plus the data sheet as it
+ * was (status_change compares a status snapshot with the previous one). Null when there are none.
+ */
+function beginReportAlerts_(spec) {
+  try {
+    const id = reportIdOf_(spec);
+    const rules = readAlertRules_().filter(r => r.report === id && r.enabled);
+    if (rules.length === 0) return null;
+    const needsPrevious = rules.some(r => !r.problem && r.condition === 'status_change') && !isDailyReport_(spec);
+    return { spec, rules, previous: needsPrevious ? readSheetRows_(spec.sheetName) : [] };
+  } catch (err) {
+    console.warn(spec.name + ': alert rules could not be read – ' + String(err && err.message || err));
+    return null;
+  }
+}
+
+/**
+ * Called after the data is published: check each rule against the fetched rows (and the data
+ * sheet's history, or the totals), apply cooldowns, deliver, and log every firing.
+ */
+function finishReportAlerts_(alerts, rows, totals, run) {
+  if (!alerts) return;
+  try {
+    checkReportAlerts_(alerts, rows, totals, run);
+  } catch (err) {
+    console.warn(alerts.spec.name + ': alerts failed – ' + String(err && err.message || err));
+  }
+}
+
+function checkReportAlerts_(alerts, rows, totals, run) {
+  const spec = alerts.spec;
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const now = new Date();
+  const cooldowns = loadAlertCooldowns_(now);
+  let history = null;
+  const context = {
+    rows: rows,
+    totals: totals,
+    previous: alerts.previous,
+    // Each day with its own campaign version, so roi_below_bid compares a day's ROI with that day's bid
+    history: () => history || (history = withCampaignAttributesByDay_(spec, readSheetRows_(spec.sheetName), r => dayOf_(r, tz))),
+    tz: tz
+  };
+
+  const fired = [];
+  alerts.rules.forEach(rule => {
+    if (rule.problem) return writeAlertRuleStatus_(rule, { last_status: 'INVALID: ' + rule.problem });
+    try {
+      const hits = alertHits_(spec, rule, context).filter(hit => {
+        const key = rule.name + '|' + hit.key;
+        if (cooldowns[key] && now.getTime() - cooldowns[key].at < rule.cooldown_hours * 60 * 60 * 1000) return false;
+        cooldowns[key] = { rule: rule.name, subject_key: hit.key, at: now.getTime() };
+        return true;
+      });
+      hits.forEach(hit => fired.push(Object.assign({ rule }, hit)));
+      writeAlertRuleStatus_(rule, hits.length
+        ? { last_fired: now, last_status: 'FIRED: ' + hits.length }
+        : { last_status: 'OK' });
+    } catch (err) {
+      writeAlertRuleStatus_(rule, { last_status: 'ERROR: ' + String(err && err.message || err) });
+    }
+  });
+  saveAlertCooldowns_(cooldowns);
+  if (fired.length === 0) return;
+
+  const delivery = deliverAlerts_(spec, fired);
+  const ts = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  fired.forEach(a => appendLogRow_(ALERTS_LOG_SHEET, ALERTS_LOG_HEADERS, {
+    ts: ts,
+    run_id: run ? run.run_id : '',
+    rule: a.rule.name,
+    report: spec.name,
+    severity: a.rule.severity,
+    subject: a.subject,
+    value: a.value,
+    message: a.message,
+    channel: a.rule.channel,
+    target: a.rule.target,
+    delivery: delivery[a.rule.channel + '|' + a.rule.target]
+  }));
+}
+
+/** Rows of the Alerts_Rules sheet, each with a `problem` if invalid ([] if the sheet is missing). */
+function readAlertRules_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(ALERT_RULES_SHEET);
+  if (!sh || sh.getLastRow() < 2) return [];
+  const values = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getDisplayValues();
+  const headers = values[0].map(h => String(h).trim());
+  const seen = {};
+  const out = [];
+  values.slice(1).forEach((row, i) => {
+    if (row.every(v => String(v).trim() === '')) return;
+    const r = { row: i + 2, headers: headers };
+    ALERT_RULE_HEADERS.forEach(h => r[h] = '');
+    headers.forEach((h, c) => r[h] = String(row[c] || '').trim());
+    r.condition = r.condition.toLowerCase();
+    r.severity = (r.severity || 'warning').toLowerCase();
+    r.channel = r.channel.toLowerCase();
+    r.scope = (r.scope || 'rows').toLowerCase();
+    r.enabled = r.enabled.toUpperCase() !== 'FALSE';
+    r.threshold = r.threshold === '' ? NaN : Number(r.threshold);
+    r.days = r.days === '' ? (r.condition === 'spike' ? 7 : 3) : Number(r.days);
+    r.cooldown_hours = r.cooldown_hours === '' ? 24 : Number(r.cooldown_hours);
+    if (!r.metric) r.metric = { spike: 'cost', roi_below_bid: 'roi', status_change: 'creative_delivery_status' }[r.condition] || '';
+    r.problem = alertRuleProblem_(r, seen);
+    seen[r.name] = true;
+    out.push(r);
+  });
+  return out;
+}
+
+function alertRuleProblem_(r, seen) {
+  if (!r.name) return 'name is required.';
+  if (seen[r.name]) return 'name "' + r.name + '" is used by another row.';
+  const report = gmvMaxReports_().filter(x => x.id === r.report)[0];
+  if (!report) return 'report must be one of ' + gmvMaxReports_().map(x => x.id).join(', ') + '.';
+  if (ALERT_CONDITIONS.indexOf(r.condition) === -1) return 'condition must be one of ' + ALERT_CONDITIONS.join(', ') + '.';
+  if (['rows', 'totals'].indexOf(r.scope) === -1) return 'scope must be rows or totals.';
+  if (r.scope === 'totals' && ['above', 'below'].indexOf(r.condition) === -1) return 'scope totals only works with above/below.';
+  if (!r.metric) return 'metric is required for ' + r.condition + '.';
+  if (['above', 'below', 'spike'].indexOf(r.condition) !== -1 && !isFinite(r.threshold)) return 'threshold must be a number.';
+  if (!(r.days >= 1 && Math.floor(r.days) === r.days)) return 'days must be a whole number of at least 1.';
+  if (['spike', 'roi_below_bid'].indexOf(r.condition) !== -1 && !isDailyReport_(report.spec)) {
+    return r.condition + ' needs a daily report.';
+  }
+  if (ALERT_SEVERITIES.indexOf(r.severity) === -1) return 'severity must be one of ' + ALERT_SEVERITIES.join(', ') + '.';
+  if (!(r.cooldown_hours >= 0)) return 'cooldown_hours must be a number of at least 0.';
+  if (ALERT_CHANNELS.indexOf(r.channel) === -1) return 'channel must be one of ' + ALERT_CHANNELS.join(', ') + '.';
+  if (!r.target) return 'target is required (email addresses or a webhook URL).';
+  if (r.channel === 'webhook' && !/^https:\/\//i.test(r.target)) return 'a webhook target must be an https:// URL.';
+  return '';
+}
+
+/** [{ key, subject, value, message }] for one rule. */
+function alertHits_(spec, rule, context) {
+  const num = v => v === '' || v === null || v === undefined ? NaN : num_(v);
+  const past = (value, limit) => rule.condition === 'above' ? value > limit : value < limit;
+
+  if (rule.scope === 'totals') {
+    const value = num(context.totals && context.totals[rule.metric]);
+    if (!isFinite(value) || !past(value, rule.threshold)) return [];
+    return [{
+      key: 'totals', subject: 'totals', value: value,
+      message: 'Total ' + rule.metric + ' ' + value + ' is ' + rule.condition + ' ' + rule.threshold + '.'
+    }];
+  }
+
+  const entities = alertEntities_(spec, context.rows, context.tz);
+  const hits = [];
+  const hit = (entity, value, message) => hits.push({ key: entity.key, subject: entity.subject, value, message });
+
+  Object.keys(entities).forEach(key => {
+    const entity = entities[key];
+    if (rule.condition === 'above' || rule.condition === 'below') {
+      const value = num(entity.latest[rule.metric]);
+      if (isFinite(value) && past(value, rule.threshold)) {
+        const at = entity.when ? ' (' + (isDailyReport_(spec) ? entity.when.slice(0, 10) : entity.when) + ')' : '';
+        hit(entity, value, rule.metric + ' ' + value + ' is ' + rule.condition + ' ' + rule.threshold + at + '.');
+      }
+      return;
+    }
+
+    if (rule.condition === 'status_change') {
+      const now = String(entity.latest[rule.metric] || '').toUpperCase();
+      const before = entityRows_(spec, context, entity);
+      const prevRow = isDailyReport_(spec) ? before[before.length - 2] : before[0];
+      const prev = String(prevRow && prevRow[rule.metric] || '').toUpperCase();
+      if (prev && now !== prev && NON_DELIVERING_STATUSES.indexOf(now) !== -1) {
+        hit(entity, now, rule.metric + ' changed from ' + prev + ' to ' + now + '.');
+      }
+      return;
+    }
+
+    const days = entityRows_(spec, context, entity);
+    if (rule.condition === 'spike') {
+      const latest = days[days.length - 1];
+      const trailing = days.slice(0, -1).slice(-rule.days).map(r => num(r[rule.metric])).filter(isFinite);
+      const value = latest ? num(latest[rule.metric]) : NaN;
+      if (trailing.length === 0 || !isFinite(value)) return;
+      const avg = trailing.reduce((a, b) => a + b, 0) / trailing.length;
+      if (avg > 0 && value > avg * (1 + rule.threshold / 100)) {
+        hit(entity, value, rule.metric + ' ' + value + ' on ' + dayOf_(latest, context.tz) + ' is ' +
+          Math.round((value / avg - 1) * 100) + '% above its ' + trailing.length + '-day average ' + avg.toFixed(2) + '.');
+      }
+      return;
+    }
+
+    // roi_below_bid: the last `days` days are consecutive and all under the bid
+    const lastDays = days.slice(-rule.days);
+    if (lastDays.length < rule.days || !consecutiveDays_(lastDays.map(r => dayOf_(r, context.tz)))) return;
+    const under = lastDays.every(r => {
+      const roi = num(r[rule.metric]);
+      const bid = num(r.roas_bid);
+      return isFinite(roi) && isFinite(bid) && roi < bid;
+    });
+    if (under) {
+      const last = lastDays[lastDays.length - 1];
+      hit(entity, num(last[rule.metric]), rule.metric + ' below roas_bid ' + num(last.roas_bid) + ' for ' + rule.days +
+        ' consecutive days up to ' + dayOf_(last, context.tz) + '.');
+    }
+  });
+  return hits;
+}
+
+/**
+ * The campaigns/products/creatives in the fetched rows: { key: { key, subject, latest, when } },
+ * keyed by the report's key columns without the time ones, `latest` being the newest row.
+ */
+function alertEntities_(spec, rows, tz) {
+  const keys = alertEntityColumns_(spec);
+  const out = {};
+  (rows || []).forEach(r => {
+    const key = keys.map(k => String(r[k] ?? '')).join('|');
+    const when = normalizeKeyValue_(r.stat_time_hour || r.stat_time_day || '', tz);
+    if (out[key] && out[key].when > when) return;
+    const subject = keys.filter(k => k !== 'advertiser_id' && k !== 'store_id').map(k => k + ' ' + r[k]).join(', ') ||
+      'store ' + r.store_id;
+    out[key] = { key, subject: r.campaign_name ? subject + ' (' + r.campaign_name + ')' : subject, latest: r, when };
+  });
+  return out;
+}
+
+function alertEntityColumns_(spec) {
+  return reportKeyColumns_(spec).filter(k => k !== 'stat_time_day' && k !== 'stat_time_hour');
+}
+
+// The entity's rows in the data sheet by day (daily reports) or in the previous snapshot
+function entityRows_(spec, context, entity) {
+  const keys = alertEntityColumns_(spec);
+  const same = r => keys.map(k => String(r[k] ?? '')).join('|') === entity.key;
+  if (!isDailyReport_(spec)) return context.previous.filter(same);
+  return context.history().filter(same)
+    .sort((a, b) => dayOf_(a, context.tz) < dayOf_(b, context.tz) ? -1 : 1);
+}
+
+function dayOf_(row, tz) {
+  return normalizeKeyValue_(row.stat_time_day, tz).slice(0, 10);
+}
+
+function consecutiveDays_(days) {
+  return days.every((d, i) => i === 0 || listDays_(days[i - 1], d).length === 2);
+}
+
+/** Send the firings, one message per channel/target. Returns { "channel|target": 'SENT' | 'FAILED: …' }. */
+function deliverAlerts_(spec, fired) {
+  const groups = {};
+  fired.forEach(a => {
+    const k = a.rule.channel + '|' + a.rule.target;
+    (groups[k] = groups[k] || []).push(a);
+  });
+  const out = {};
+  Object.keys(groups).forEach(k => {
+    const list = groups[k];
+    const rule = list[0].rule;
+    const worst = ALERT_SEVERITIES.filter(s => list.some(a => a.rule.severity === s)).pop();
+    const title = '[' + worst.toUpperCase() + '] ' + spec.name + ': ' + list.length + ' alert(s)';
+    const lines = list.map(a => '- [' + a.rule.severity + '] ' + a.rule.name + ' – ' + a.subject + ': ' + a.message);
+    try {
+      if (rule.channel === 'email') {
+        MailApp.sendEmail({
+          to: rule.target,
+          subject: 'GMV Max alert ' + title,
+          body: lines.join('\n') + '\n\nSpreadsheet: ' + SpreadsheetApp.getActive().getUrl()
+        });
+      } else {
+        postAlertWebhook_(rule.target, {
+          text: title + '\n' + lines.join('\n'),
+          report: spec.name,
+          alerts: list.map(a => ({ rule: a.rule.name, severity: a.rule.severity, subject: a.subject, value: a.value, message: a.message }))
+        });
+      }
+      out[k] = 'SENT';
+    } catch (err) {
+      out[k] = 'FAILED: ' + String(err && err.message || err);
+    }
+  });
+  return out;
+}
+
+function postAlertWebhook_(url, payload) {
+  const res = UrlFetchApp.fetch(url, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const code = res.getResponseCode();
+  if (code < 200 || code >= 300) throw new Error('HTTP ' + code);
+}
+
+// Write the script-owned columns (last_fired, last_status) of one rule row.
+function writeAlertRuleStatus_(rule, values) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(ALERT_RULES_SHEET);
+  Object.keys(values).forEach(k => {
+    const col = rule.headers.indexOf(k);
+    if (col === -1) return;
+    const cell = sh.getRange(rule.row, col + 1);
+    if (values[k] instanceof Date) cell.setNumberFormat('yyyy-mm-dd hh:mm');
+    cell.setValue(values[k]);
+  });
+}
+
+// { "rule|subject key": { rule, subject_key, at (ms) } }. Entries older than ALERT_COOLDOWN_KEEP_MS
+// are dropped; no cooldown is that long in practice.
+function loadAlertCooldowns_(now) {
+  const all = {};
+  readSheetRows_(ALERT_COOLDOWNS_SHEET).forEach(r => {
+    const at = (r.last_fired instanceof Date ? r.last_fired : new Date(r.last_fired)).getTime();
+    if (!isFinite(at) || now.getTime() - at >= ALERT_COOLDOWN_KEEP_MS) return;
+    all[r.rule + '|' + r.subject_key] = { rule: String(r.rule), subject_key: String(r.subject_key), at };
+  });
+  return all;
+}
+
+function saveAlertCooldowns_(map) {
+  const ss = SpreadsheetApp.getActive();
+  const created = !ss.getSheetByName(ALERT_COOLDOWNS_SHEET);
+  const rows = Object.keys(map).sort().map(k => ({ rule: map[k].rule, subject_key: map[k].subject_key, last_fired: new Date(map[k].at) }));
+  writeRowsToSheet_(ALERT_COOLDOWNS_SHEET, rows, ALERT_COOLDOWN_HEADERS, ['text', 'text', 'text']);
+  if (created) ss.getSheetByName(ALERT_COOLDOWNS_SHEET).hideSheet();
+}
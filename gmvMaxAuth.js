@@ -0,0 +1,242 @@
+/**
+ * GMV Max – TikTok Business API authorization
+ *
+ * Setup (once):
+ *   1. Script Properties: TT_APP_ID and TT_APP_SECRET from your TikTok for Business developer app.
+ *   2. Deploy this project as a web app (Execute as: me) and set the app's redirect URL in the
+ *      TikTok developer portal to the web app URL (/exec).
+ *   3. Run showTikTokAuthorizationDialog (or open getTikTokAuthorizationUrl()) and approve.
+ *
+ * TikTok redirects back to doGet with an auth_code, which is exchanged for a long-lived access
+ * token. The token is stored in Script Properties (TT_ACCESS_TOKEN, so triggers can use it) and
+ * is never logged or written to a sheet. Before each run the token is checked against
+ * oauth2/advertiser/get (cached for an hour). When a report call fails with a token error, the
+ * token is marked invalid, the script owner is emailed a re-authorization link, and the run stops
+ * with a message saying so. Runs stay blocked only while TT_ACCESS_TOKEN still holds that token
+ * (compared by its SHA-256 fingerprint, TT_TOKEN_INVALID_FINGERPRINT).
+ *
+ * A token pasted by hand into TT_ACCESS_TOKEN still works; without TT_APP_ID/TT_APP_SECRET it is
+ * used as-is and not pre-checked.
+ */
+const TT_AUTH_PORTAL_URL = 'https://business-api.tiktok.com/portal/auth';
+const TT_OAUTH_TOKEN_ENDPOINT = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/access_token/';
+const TT_OAUTH_ADVERTISERS_ENDPOINT = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/advertiser/get/';
+
+// API codes meaning the token is expired, revoked or missing: retrying won't help.
+const GMVMAX_AUTH_ERROR_CODES = [40102, 40104, 40105];
+
+const TT_TOKEN_CHECK_CACHE_SECONDS = 60 * 60;
+const TT_REAUTH_NOTICE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function getAccessToken_() {
+  const props = PropertiesService.getScriptProperties();
+  const token = props.getProperty('TT_ACCESS_TOKEN');
+  if (!token) {
+    throw new Error('Missing TT_ACCESS_TOKEN in Script Properties. Run showTikTokAuthorizationDialog to authorize.');
+  }
+  if (props.getProperty('TT_TOKEN_INVALID_SINCE')) {
+    if (props.getProperty('TT_TOKEN_INVALID_FINGERPRINT') === tokenFingerprint_(token)) {
+      throw new Error('The TikTok access token was rejected at ' + props.getProperty('TT_TOKEN_INVALID_SINCE') +
+        '. Re-authorize via showTikTokAuthorizationDialog (or paste a new token into TT_ACCESS_TOKEN) before running reports.');
+    }
+    // A different token has been stored since (e.g. pasted by hand): give it a chance
+    clearTokenRejected_();
+  }
+  checkAccessToken_(token);
+  return token;
+}
+
+/** Cheap validity check (advertiser/get) before a run; skipped for hand-pasted tokens without app credentials. */
+function checkAccessToken_(token) {
+  const app = getTikTokAppCredentials_();
+  if (!app) return;
+
+  const cache = CacheService.getScriptCache();
+  if (cache.get('TT_TOKEN_OK') === tokenFingerprint_(token)) return;
+
+  const body = fetchAdvertisersForToken_(token, app);
+  if (body.code !== 0) {
+    if (GMVMAX_AUTH_ERROR_CODES.indexOf(Number(body.code)) !== -1) {
+      handleTokenRejected_('API ' + body.code + ': ' + body.message, token);
+    }
+    throw new Error('Access token check failed – API ' + body.code + ': ' + body.message);
+  }
+  cache.put('TT_TOKEN_OK', tokenFingerprint_(token), TT_TOKEN_CHECK_CACHE_SECONDS);
+}
+
+/** URL to send the user to for consent. Also stores a one-time state value to verify the redirect. */
+function getTikTokAuthorizationUrl() {
+  const app = getTikTokAppCredentials_();
+  if (!app) throw new Error('Set TT_APP_ID and TT_APP_SECRET in Script Properties first.');
+
+  const state = Utilities.getUuid();
+  PropertiesService.getScriptProperties().setProperty('TT_OAUTH_STATE', state);
+  return TT_AUTH_PORTAL_URL + '?' + toQueryString_({
+    app_id: app.app_id,
+    state: state,
+    redirect_uri: ScriptApp.getService().getUrl()
+  });
+}
+
+function showTikTokAuthorizationDialog() {
+  const url = getTikTokAuthorizationUrl();
+  const html = HtmlService.createHtmlOutput(
+    '<p>Authorize this spreadsheet to read your TikTok GMV Max reports:</p>' +
+    '<p><a href="' + url + '" target="_blank">Open TikTok authorization</a></p>' +
+    '<p>When TikTok shows "Authorized", close this dialog and run listTikTokAdvertisers to check access.</p>'
+  ).setWidth(420).setHeight(180);
+  SpreadsheetApp.getUi().showModalDialog(html, 'TikTok authorization');
+}
+
+/** Web-app redirect target: exchanges auth_code for an access token. */
+function doGet(e) {
+  const p = (e && e.parameter) || {};
+  const authCode = p.auth_code || p.code;
+  if (!authCode) {
+    return HtmlService.createHtmlOutput('<p>Nothing to do: no auth_code in the request.</p>');
+  }
+
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const expected = props.getProperty('TT_OAUTH_STATE');
+    if (!expected || p.state !== expected) {
+      throw new Error('State mismatch – start again from showTikTokAuthorizationDialog.');
+    }
+    props.deleteProperty('TT_OAUTH_STATE');
+
+    const data = exchangeAuthCode_(authCode);
+    return HtmlService.createHtmlOutput(
+      '<p>Authorized. The token can reach ' + (data.advertiser_ids || []).length + ' advertiser(s).</p>' +
+      '<p>You can close this tab.</p>'
+    );
+  } catch (err) {
+    return HtmlService.createHtmlOutput('<p>Authorization failed: ' + escapeHtml_(String(err && err.message || err)) + '</p>');
+  }
+}
+
+function exchangeAuthCode_(authCode) {
+  const app = getTikTokAppCredentials_();
+  if (!app) throw new Error('Set TT_APP_ID and TT_APP_SECRET in Script Properties first.');
+
+  const res = UrlFetchApp.fetch(TT_OAUTH_TOKEN_ENDPOINT, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify({ app_id: app.app_id, secret: app.secret, auth_code: authCode }),
+    muteHttpExceptions: true
+  });
+  if (res.getResponseCode() !== 200) throw new Error('HTTP ' + res.getResponseCode() + ' from token endpoint.');
+
+  const body = JSON.parse(res.getContentText());
+  if (body.code !== 0) throw new Error('API ' + body.code + ': ' + body.message);
+
+  const data = body.data || {};
+  const props = PropertiesService.getScriptProperties();
+  props.setProperty('TT_ACCESS_TOKEN', data.access_token);
+  props.setProperty('TT_TOKEN_META', JSON.stringify({
+    authorized_at: new Date().toISOString(),
+    scope: data.scope || [],
+    advertiser_ids: data.advertiser_ids || []
+  }));
+  clearTokenRejected_();
+  CacheService.getScriptCache().remove('TT_TOKEN_OK');
+  return data;
+}
+
+/**
+ * Advertisers the current token can reach, written to "TikTok_Advertisers".
+ * Handy for filling the advertiser_id column of the Config sheet.
+ */
+function listTikTokAdvertisers() {
+  const app = getTikTokAppCredentials_();
+  if (!app) throw new Error('Set TT_APP_ID and TT_APP_SECRET in Script Properties first.');
+
+  const body = fetchAdvertisersForToken_(getAccessToken_(), app);
+  if (body.code !== 0) throw new Error('API ' + body.code + ': ' + body.message);
+
+  const list = (body.data && body.data.list) || [];
+  writeRowsToSheet_('TikTok_Advertisers', list, ['advertiser_id', 'advertiser_name']);
+  return list;
+}
+
+/** Forget the stored token (e.g. before authorizing a different TikTok account). */
+function clearTikTokAuthorization() {
+  const props = PropertiesService.getScriptProperties();
+  ['TT_ACCESS_TOKEN', 'TT_TOKEN_META', 'TT_TOKEN_INVALID_SINCE', 'TT_TOKEN_INVALID_FINGERPRINT', 'TT_REAUTH_NOTICE_AT', 'TT_OAUTH_STATE']
+    .forEach(k => props.deleteProperty(k));
+  CacheService.getScriptCache().remove('TT_TOKEN_OK');
+}
+
+function fetchAdvertisersForToken_(token, app) {
+  const url = TT_OAUTH_ADVERTISERS_ENDPOINT + '?' + toQueryString_({ app_id: app.app_id, secret: app.secret });
+  const res = UrlFetchApp.fetch(url, { method: 'get', headers: { 'Access-Token': token }, muteHttpExceptions: true });
+  if (res.getResponseCode() !== 200) {
+    throw new Error('HTTP ' + res.getResponseCode() + ' from advertiser/get.');
+  }
+  return JSON.parse(res.getContentText());
+}
+
+/**
+ * Called when the API rejects the token: block further runs with that token (a new one in
+ * TT_ACCESS_TOKEN lifts the block), email the owner a re-authorization link (at most once a
+ * day) and stop this run with a clear error. token: the rejected one, default the stored one.
+ */
+function handleTokenRejected_(detail, token) {
+  const props = PropertiesService.getScriptProperties();
+  const now = new Date();
+  if (!props.getProperty('TT_TOKEN_INVALID_SINCE')) {
+    props.setProperty('TT_TOKEN_INVALID_SINCE', now.toISOString());
+  }
+  props.setProperty('TT_TOKEN_INVALID_FINGERPRINT', tokenFingerprint_(token || props.getProperty('TT_ACCESS_TOKEN') || ''));
+  CacheService.getScriptCache().remove('TT_TOKEN_OK');
+
+  const lastNotice = Number(props.getProperty('TT_REAUTH_NOTICE_AT') || 0);
+  if (now.getTime() - lastNotice > TT_REAUTH_NOTICE_INTERVAL_MS) {
+    props.setProperty('TT_REAUTH_NOTICE_AT', String(now.getTime()));
+    notifyReauthorizationNeeded_(detail);
+  }
+
+  const err = new Error('TikTok access token expired or revoked (' + detail + '). ' +
+    'Re-authorize via showTikTokAuthorizationDialog, then run the report again.');
+  err.tokenRejected = true;
+  throw err;
+}
+
+function clearTokenRejected_() {
+  const props = PropertiesService.getScriptProperties();
+  ['TT_TOKEN_INVALID_SINCE', 'TT_TOKEN_INVALID_FINGERPRINT', 'TT_REAUTH_NOTICE_AT'].forEach(k => props.deleteProperty(k));
+}
+
+function notifyReauthorizationNeeded_(detail) {
+  const to = Session.getEffectiveUser().getEmail();
+  if (!to) return;
+
+  let link = '';
+  try {
+    link = getTikTokAuthorizationUrl();
+  } catch (e) {
+    link = '(set TT_APP_ID / TT_APP_SECRET, then run showTikTokAuthorizationDialog)';
+  }
+  MailApp.sendEmail({
+    to: to,
+    subject: 'GMV Max reports: TikTok re-authorization needed',
+    body: 'TikTok rejected the stored access token (' + detail + ').\n\n' +
+      'Reports are paused until you re-authorize:\n' + link + '\n\n' +
+      'Spreadsheet: ' + SpreadsheetApp.getActive().getUrl()
+  });
+}
+
+function getTikTokAppCredentials_() {
+  const props = PropertiesService.getScriptProperties();
+  const app_id = props.getProperty('TT_APP_ID');
+  const secret = props.getProperty('TT_APP_SECRET');
+  return app_id && secret ? { app_id, secret } : null;
+}
+
+// Cache key material that does not reveal the token itself
+function tokenFingerprint_(token) {
+  return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, token));
+}
+
+function escapeHtml_(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,187 @@
+/**
+ * GMV Max – campaign dimension
+ *
+ * Campaign attributes (campaign_name, operation_status, schedule_*, bid_type, budgets, roas_bid,
+ * LIVE account fields) describe the campaign, not the day or hour, so reports with
+ * campaignDimension: true keep them out of their data sheets. Each run compares the values it
+ * fetched with the current version of every campaign in GMVMax_Campaigns:
+ *   - a campaign seen for the first time gets a row with valid_from = now
+ *   - a changed attribute closes the current row (valid_to = now) and starts a new one, with the
+ *     changed attribute names in `changed`
+ * The current version is the row with a blank valid_to. Attributes a report does not request are
+ * carried over from the previous version. Rollups that list campaign attributes read the current
+ * version (withCurrentCampaignAttributes_); alerts that look back over days read the version in
+ * force on each day (withCampaignAttributesByDay_).
+ *
+ * A data sheet written before its report moved the attributes here still has their columns. The
+ * first update after that seeds GMVMax_Campaigns from each campaign's newest row in the sheet and
+ * deletes those columns in place, so its history is kept and upserts find the report's layout.
+ * Updates rewrite the whole sheet. Their runs hold the script lock while writing, and the
+ * update takes the document lock as well.
+ */
+const CAMPAIGN_DIMENSION_SHEET = 'GMVMax_Campaigns';
+const CAMPAIGN_DIMENSION_KEYS = ['advertiser_id', 'store_id', 'campaign_id', 'promotion_type'];
+const CAMPAIGN_DIMENSION_HISTORY = ['valid_from', 'valid_to', 'changed'];
+
+/** The spec's selected metrics that go to GMVMax_Campaigns instead of its data sheet. */
+function campaignDimensionAttributes_(spec) {
+  if (!spec.campaignDimension) return [];
+  return spec.metrics.filter(isCampaignAttribute_);
+}
+
+function isCampaignAttribute_(m) {
+  const def = GMVMAX_METRICS[m];
+  return m !== 'campaign_id' && !!def && def.type === 'attribute' && (def.levels || []).indexOf('campaign') !== -1;
+}
+
+/**
+ * Record new campaigns and attribute changes seen in `rows` (mapped report rows, which carry the
+ * attributes next to their columns, see mapReportRow_).
+ */
+function updateCampaignDimension_(spec, rows) {
+  const attributes = campaignDimensionAttributes_(spec);
+  if (attributes.length === 0) return;
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(30 * 1000)) throw new Error(CAMPAIGN_DIMENSION_SHEET + ' is being updated by another run; try again shortly.');
+  try {
+    migrateCampaignAttributeColumns_(spec);
+    recordCampaignVersions_(spec, rows, attributes);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Seed GMVMax_Campaigns from attribute columns left in the data sheet, then delete them. */
+function migrateCampaignAttributeColumns_(spec) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(spec.sheetName);
+  if (!sh || sh.getLastRow() === 0) return;
+  const header = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(String);
+  const layout = reportHeaders_(spec);
+  const moved = header.filter(h => layout.indexOf(h) === -1 && isCampaignAttribute_(h));
+  if (moved.length === 0) return;
+
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const when = r => normalizeKeyValue_(r.stat_time_hour || r.stat_time_day, tz);
+  const rows = readSheetRows_(spec.sheetName).filter(r => String(r.campaign_id ?? '') !== '')
+    .sort((a, b) => when(a) < when(b) ? -1 : when(a) > when(b) ? 1 : 0);
+  recordCampaignVersions_(spec, rows, moved); // the newest row of each campaign wins
+  moved.map(h => header.indexOf(h) + 1).sort((a, b) => b - a).forEach(col => sh.deleteColumn(col));
+  console.log(spec.name + ': moved ' + moved.join(', ') + ' from ' + spec.sheetName + ' to ' + CAMPAIGN_DIMENSION_SHEET + '.');
+}
+
+function recordCampaignVersions_(spec, rows, attributes) {
+  if (rows.length === 0) return;
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const now = Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd HH:mm:ss');
+
+  // Latest values per campaign in this batch
+  const seen = {};
+  rows.forEach(r => {
+    seen[campaignDimensionKey_(r)] = Object.assign({
+      advertiser_id: String(r.advertiser_id),
+      store_id: String(r.store_id),
+      campaign_id: String(r.campaign_id),
+      promotion_type: spec.promotionType
+    }, pick_(r, attributes));
+  });
+
+  const versions = readSheetRows_(CAMPAIGN_DIMENSION_SHEET);
+  const current = {};
+  versions.forEach(v => {
+    if (normalizeKeyValue_(v.valid_to, tz) === '') current[campaignDimensionKey_(v)] = v;
+  });
+
+  let changes = 0;
+  Object.keys(seen).forEach(key => {
+    const prev = current[key];
+    if (!prev) {
+      versions.push(Object.assign({ valid_from: now, valid_to: '', changed: '' }, seen[key]));
+      changes++;
+      return;
+    }
+    const changed = attributes.filter(a => !sameAttributeValue_(prev[a], seen[key][a], tz));
+    if (changed.length === 0) return;
+    prev.valid_to = now;
+    versions.push(Object.assign({}, prev, seen[key], { valid_from: now, valid_to: '', changed: changed.join(', ') }));
+    changes++;
+  });
+  if (changes === 0) return;
+
+  const known = Object.keys(GMVMAX_METRICS);
+  const headers = versions.length ? Object.keys(versions[0]) : [];
+  const attributeHeaders = known.filter(m => attributes.indexOf(m) !== -1 || headers.indexOf(m) !== -1)
+    .filter(m => CAMPAIGN_DIMENSION_KEYS.indexOf(m) === -1);
+  writeRowsToSheet_(CAMPAIGN_DIMENSION_SHEET, versions,
+    CAMPAIGN_DIMENSION_KEYS.concat(attributeHeaders, CAMPAIGN_DIMENSION_HISTORY));
+}
+
+/** Rows with each campaign's current attributes filled in (unchanged if the spec keeps them inline). */
+function withCurrentCampaignAttributes_(spec, rows) {
+  if (!spec.campaignDimension) return rows;
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const current = {};
+  readSheetRows_(CAMPAIGN_DIMENSION_SHEET).forEach(v => {
+    if (normalizeKeyValue_(v.valid_to, tz) === '') current[campaignDimensionKey_(v)] = v;
+  });
+  return rows.map(r => Object.assign(versionAttributes_(current[campaignDimensionKey_(r)]), r));
+}
+
+/**
+ * Daily rows with the attributes of the version in force at the end of each row's day (`dayOf(row)`,
+ * yyyy-MM-dd), e.g. the roas_bid of that day rather than today's. Days before a campaign was
+ * first recorded take its first version.
+ */
+function withCampaignAttributesByDay_(spec, rows, dayOf) {
+  if (!spec.campaignDimension) return rows;
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const byCampaign = {};
+  readSheetRows_(CAMPAIGN_DIMENSION_SHEET).forEach(v => {
+    (byCampaign[campaignDimensionKey_(v)] = byCampaign[campaignDimensionKey_(v)] || []).push(v);
+  });
+  Object.keys(byCampaign).forEach(k => byCampaign[k].sort((a, b) =>
+    normalizeKeyValue_(a.valid_from, tz) < normalizeKeyValue_(b.valid_from, tz) ? -1 : 1));
+
+  return rows.map(r => {
+    const versions = byCampaign[campaignDimensionKey_(r)] || [];
+    const endOfDay = dayOf(r) + ' 23:59:59';
+    const inForce = versions.filter(v => normalizeKeyValue_(v.valid_from, tz) <= endOfDay).pop() || versions[0];
+    return Object.assign(versionAttributes_(inForce), r);
+  });
+}
+
+// A GMVMax_Campaigns row without its key and history columns
+function versionAttributes_(version) {
+  const attributes = {};
+  Object.keys(version || {}).forEach(k => {
+    if (CAMPAIGN_DIMENSION_KEYS.concat(CAMPAIGN_DIMENSION_HISTORY).indexOf(k) === -1) attributes[k] = version[k];
+  });
+  return attributes;
+}
+
+/** { campaign_id: campaign_name } from the current versions. */
+function currentCampaignNames_() {
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const out = {};
+  readSheetRows_(CAMPAIGN_DIMENSION_SHEET).forEach(v => {
+    if (normalizeKeyValue_(v.valid_to, tz) === '' && v.campaign_name) out[String(v.campaign_id)] = String(v.campaign_name);
+  });
+  return out;
+}
+
+function campaignDimensionKey_(row) {
+  return [row.advertiser_id, row.store_id, row.campaign_id].map(v => String(v ?? '').trim()).join('|');
+}
+
+// Sheet values come back typed (numbers, dates); API values are strings ("50.00", "2025-06-01 00:00:00")
+function sameAttributeValue_(a, b, tz) {
+  const x = normalizeKeyValue_(a, tz);
+  const y = normalizeKeyValue_(b, tz);
+  if (x === y) return true;
+  return x !== '' && y !== '' && isFinite(Number(x)) && isFinite(Number(y)) && Number(x) === Number(y);
+}
+
+function pick_(obj, keys) {
+  const out = {};
+  keys.forEach(k => out[k] = obj[k] ?? '');
+  return out;
+}
@@ -0,0 +1,139 @@
+/**
+ * GMV Max – output column types
+ *
+ * Each output column has a type that decides how its values are converted on write and which
+ * number format the sheet writers apply:
+ *   id        – long numeric IDs kept as plain text (never 7.06E+18)
+ *   currency  – number, #,##0.00
+ *   integer   – number, #,##0
+ *   ratio     – number, 0.00 (roi, roas_bid)
+ *   percent   – API percentage ("2.15" = 2.15%) stored as a fraction, 0.00%; recomputed totals
+ *               and rollups are in the same units (the catalog's scale, gmvMaxMetrics.js)
+ *   date      – 'yyyy-MM-dd', stored as a real date
+ *   datetime  – 'yyyy-MM-dd HH:mm:ss', stored as a real date-time
+ *   text      – as returned (default for unknown columns)
+ * Numeric types keep 0 as 0; only a missing value becomes an empty cell.
+ *
+ * Types are looked up by column name; a spec column can override with { name, ..., type }.
+ */
+const GMVMAX_COLUMN_TYPES = {
+  // IDs
+  advertiser_id: 'id',
+  store_id: 'id',
+  campaign_id: 'id',
+  item_group_id: 'id',
+  item_id: 'id',
+  identity_id: 'id',
+
+  // Time
+  stat_time_day: 'date',
+  stat_date: 'date',
+  week: 'date',
+  stat_time_hour: 'datetime',
+  schedule_start_time: 'datetime',
+  schedule_end_time: 'datetime',
+  valid_from: 'datetime',
+  valid_to: 'datetime',
+
+  // Money
+  cost: 'currency',
+  net_cost: 'currency',
+  gross_revenue: 'currency',
+  cost_per_order: 'currency',
+  target_roi_budget: 'currency',
+  max_delivery_budget: 'currency',
+  cost_per_live_view: 'currency',
+  cost_per_10_second_live_view: 'currency',
+  cost_per_10s_live_view: 'currency',
+
+  // Ratios
+  roi: 'ratio',
+  roas_bid: 'ratio',
+
+  // Counts
+  orders: 'integer',
+  live_views: 'integer',
+  '10_second_live_views': 'integer',
+  live_10s_views: 'integer',
+  live_follows: 'integer',
+  product_impressions: 'integer',
+  product_clicks: 'integer',
+  stat_hour: 'integer',
+  row_count: 'integer',
+
+  // Percentages
+  product_click_rate: 'percent',
+  ad_click_rate: 'percent',
+  ad_conversion_rate: 'percent',
+  ad_video_view_rate_2s: 'percent',
+  ad_video_view_rate_6s: 'percent',
+  ad_video_view_rate_p25: 'percent',
+  ad_video_view_rate_p50: 'percent',
+  ad_video_view_rate_p75: 'percent',
+  ad_video_view_rate_p100: 'percent'
+};
+
+const GMVMAX_NUMBER_FORMATS = {
+  id: '@',
+  currency: '#,##0.00',
+  integer: '#,##0',
+  ratio: '0.00',
+  percent: '0.00%',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+function columnTypeOf_(name) {
+  return GMVMAX_COLUMN_TYPES[name] || 'text';
+}
+
+/** Types for a list of headers, by name. */
+function columnTypesFor_(headers) {
+  return headers.map(columnTypeOf_);
+}
+
+/** Types for a spec's columns, honouring per-column { type } overrides. */
+function reportColumnTypes_(spec) {
+  return reportColumns_(spec).map(col => (typeof col !== 'string' && col.type) || columnTypeOf_(columnName_(col)));
+}
+
+/** Convert one raw value (API string, number or sheet value) for a column of the given type. */
+function toCellValue_(value, type) {
+  if (value === undefined || value === null || value === '') return '';
+  if (value instanceof Date) return value; // already a sheet date (upsert rewrites)
+
+  switch (type) {
+    case 'id':
+    case 'text':
+      return String(value);
+    case 'currency':
+    case 'ratio':
+    case 'integer': {
+      const n = num_(value);
+      return isFinite(n) ? n : String(value);
+    }
+    case 'percent': {
+      const n = num_(value);
+      return isFinite(n) ? n / 100 : String(value);
+    }
+    case 'date':
+      // Sheets parses ISO dates into real dates under the yyyy-mm-dd format
+      return String(value).slice(0, 10);
+    case 'datetime':
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Set number formats on rows [startRow, startRow + numRows) before values are written, so
+ * '@' (text) is in place before long IDs land in the cells.
+ */
+function applyColumnFormats_(sh, startRow, numRows, types) {
+  if (numRows <= 0) return;
+  types.forEach((type, i) => {
+    const fmt = GMVMAX_NUMBER_FORMATS[type];
+    if (fmt) sh.getRange(startRow, i + 1, numRows, 1).setNumberFormat(fmt);
+  });
+}
@@ -0,0 +1,340 @@
+/**
+ * GMV Max – shared Config sheet reader and date-range helpers
+ *
+ * Config sheet: headers in row 1, one advertiser/store per row from row 2 down.
+ *   advertiser_id, store_id, start_date, end_date (dates or expressions, see resolveDateRange_),
+ *   (optional) page_size, enable_total_metrics,
+ *   campaign_ids, item_group_ids, creative_delivery_statuses (CSV, used by drill-down reports)
+ *   include_campaigns, exclude_campaigns, campaign_statuses, min_cost (filters for campaigns the
+ *     drill-down reports discover when campaign_ids is blank, see gmvMaxDiscovery.js)
+ *   (optional) write_mode: "replace" (default) or "upsert", lookback_days (upsert only, default 7)
+ *   (optional) enabled: FALSE skips the row
+ *   (optional) timezone: IANA name overriding the advertiser's account timezone (gmvMaxTimeZones.js)
+ *
+ * Row 2 doubles as the defaults for the shared settings in CONFIG_SHARED_FIELDS (dates,
+ * page_size, flags, write mode, statuses): a blank one in a later row takes row 2's value, so
+ * they are typed once and each row only overrides what differs. Everything else – IDs, campaign
+ * filters, timezone – belongs to its own row: blank means blank (e.g. "discover campaigns").
+ * write_mode applies to the whole run, so every row must have the same one (a blank takes row 2's;
+ * a row that differs is a Config_Errors problem). lookback_days can differ per row.
+ *
+ * Each parsed row also carries `raw` (the merged cell strings) and `cells` (field -> A1 of the
+ * cell the value came from) so validateConfigRows_ can point at the exact cell to fix.
+ */
+const CONFIG_SHARED_FIELDS = [
+  'start_date', 'end_date', 'page_size', 'enable_total_metrics', 'write_mode', 'lookback_days',
+  'creative_delivery_statuses', 'campaign_statuses'
+];
+
+function readConfigRows_() {
+  const ss = SpreadsheetApp.getActive();
+  const sh = ss.getSheetByName('Config');
+  if (!sh) throw new Error('Missing "Config" sheet.');
+
+  // Use DISPLAY values to avoid date serials and to keep strings as typed; real date cells are
+  // read as dates instead, so a locale display like "6/1/2025" still becomes 2025-06-01.
+  const range = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn());
+  const values = range.getDisplayValues();
+  const rawValues = range.getValues();
+  if (values.length < 2) throw new Error('Config sheet must have headers in row 1 and at least one row of values.');
+
+  const tz = ss.getSpreadsheetTimeZone();
+  const headers = values[0].map(h => String(h).trim());
+  const toMap = r => {
+    const asMap = {};
+    headers.forEach((h, i) => {
+      const v = rawValues[r][i];
+      asMap[h] = v instanceof Date ? Utilities.formatDate(v, tz, 'yyyy-MM-dd') : (values[r][i] || '').toString().trim();
+    });
+    return asMap;
+  };
+  const cellOf = (h, rowNum) => columnLetter_(headers.indexOf(h) + 1) + rowNum;
+  const defaults = toMap(1);
+
+  // Fallback for rows without advertiser_id: every ID in Script Property TT_ADVERTISER_IDS (CSV)
+  const propAdvertisers = splitCsv_(PropertiesService.getScriptProperties().getProperty('TT_ADVERTISER_IDS'));
+
+  const out = [];
+  values.slice(1).forEach((row, i) => {
+    if (row.every(v => String(v).trim() === '')) return;
+
+    const config_row = i + 2;
+    const own = toMap(i + 1);
+    const asMap = {};
+    const cells = {};
+    headers.forEach(h => {
+      if (!h) return;
+      const inherit = own[h] === '' && CONFIG_SHARED_FIELDS.indexOf(h) !== -1;
+      asMap[h] = inherit ? defaults[h] : own[h];
+      cells[h] = cellOf(h, inherit ? 2 : config_row);
+    });
+    // A range expression typed in this row (last_month, since:…) brings its own end date
+    if (own.start_date && !own.end_date && isRangeExpression_(own.start_date)) asMap.end_date = '';
+    if (String(asMap.enabled || '').toUpperCase() === 'FALSE') return;
+
+    const advertiserIds = asMap.advertiser_id ? [asMap.advertiser_id] : (propAdvertisers.length ? propAdvertisers : ['']);
+    if (!asMap.advertiser_id && propAdvertisers.length) cells.advertiser_id = 'Script Property TT_ADVERTISER_IDS';
+    advertiserIds.forEach(advertiser_id => {
+      const cfg = parseConfigRow_(asMap, advertiser_id, config_row);
+      cfg.raw = Object.assign({}, asMap, { advertiser_id });
+      cfg.cells = cells;
+      out.push(cfg);
+    });
+  });
+
+  if (out.length === 0) throw new Error('Config has no enabled rows.');
+  return out;
+}
+
+function parseConfigRow_(asMap, advertiser_id, config_row) {
+  return {
+    config_row,
+    advertiser_id,
+    store_id: asMap.store_id,
+    start_date: asMap.start_date,
+    end_date: asMap.end_date,
+    campaign_ids: splitCsv_(asMap.campaign_ids),
+    item_group_ids: splitCsv_(asMap.item_group_ids),
+    creative_delivery_statuses: splitCsv_(asMap.creative_delivery_statuses).map(st => st.toUpperCase()),
+    include_campaigns: splitCsv_(asMap.include_campaigns),
+    exclude_campaigns: splitCsv_(asMap.exclude_campaigns),
+    campaign_statuses: splitCsv_(asMap.campaign_statuses).map(st => st.toUpperCase()),
+    min_cost: asMap.min_cost ? Number(asMap.min_cost) : null,
+    page_size: asMap.page_size ? Number(asMap.page_size) : undefined,
+    timezone: asMap.timezone || '',
+    enable_total_metrics: String(asMap.enable_total_metrics || '').toUpperCase() === 'TRUE',
+    write_mode: String(asMap.write_mode || 'replace').toLowerCase(),
+    lookback_days: asMap.lookback_days ? Number(asMap.lookback_days) : DEFAULT_LOOKBACK_DAYS
+  };
+}
+
+/* ===================== Validation ===================== */
+
+const CONFIG_ERRORS_SHEET = 'Config_Errors';
+
+const CREATIVE_DELIVERY_STATUSES = [
+  'IN_QUEUE', 'LEARNING', 'DELIVERING', 'NOT_DELIVERYING', 'AUTHORIZATION_NEEDED', 'EXCLUDED', 'UNAVAILABLE', 'REJECTED'
+];
+
+/**
+ * Check every Config row for a report before any API call. All problems are written to
+ * Config_Errors (report, Config row, cell, value, what is wrong, how to fix it) and the run
+ * stops; a clean Config clears that sheet.
+ * opts.defaultStartDate: used when a row has no start_date (e.g. the LIVE backfill's 'since:2025-06-01').
+ */
+function assertConfigValid_(spec, cfgs, opts) {
+  const problems = validateConfigRows_(spec, cfgs, opts);
+  writeRowsToSheet_(CONFIG_ERRORS_SHEET, problems,
+    ['report', 'config_row', 'cell', 'field', 'value', 'problem', 'fix'],
+    ['text', 'integer', 'text', 'text', 'text', 'text', 'text']);
+  if (problems.length > 0) {
+    throw new Error(spec.name + ': Config has ' + problems.length + ' problem(s) – see ' + CONFIG_ERRORS_SHEET +
+      '. First: ' + problems[0].cell + ' ' + problems[0].problem);
+  }
+}
+
+/**
+ * Every problem in the given rows, as [{ report, config_row, cell, field, value, problem, fix }].
+ * The report's Metrics sheet selection is checked too (metricSelectionProblems_).
+ */
+function validateConfigRows_(spec, cfgs, opts) {
+  const options = opts || {};
+  const out = [];
+  const seen = {};
+
+  cfgs.forEach(cfg => {
+    const raw = cfg.raw || cfg;
+    const cells = cfg.cells || {};
+    const add = (field, problem, fix) => {
+      const cell = cells[field] || field;
+      const key = cell + '|' + problem;
+      if (seen[key]) return; // rows expanded over TT_ADVERTISER_IDS share their cells
+      seen[key] = true;
+      out.push({ report: spec.name, config_row: cfg.config_row, cell, field, value: String(raw[field] ?? ''), problem, fix });
+    };
+
+    ['advertiser_id', 'store_id'].forEach(f => {
+      if (!raw[f]) add(f, 'Missing ' + f + '.', f === 'advertiser_id'
+        ? 'Fill advertiser_id in this row, or set the TT_ADVERTISER_IDS Script Property.'
+        : 'Fill store_id in this row.');
+      else if (!isNumericId_(raw[f])) add(f, f + ' must be a numeric ID.', 'Copy the ID from TikTok Ads Manager (digits only).');
+    });
+
+    if (raw.timezone && !isTimeZoneName_(raw.timezone)) {
+      add('timezone', 'timezone "' + raw.timezone + '" is not a timezone name.', 'Use an IANA name such as Asia/Jakarta, or leave blank for the account timezone.');
+    }
+
+    // Expressions are re-resolved in the account timezone at run time; this only checks the order
+    const tz = isTimeZoneName_(raw.timezone) ? raw.timezone : reportTimeZone_(spec);
+    const startExpr = raw.start_date || options.defaultStartDate || '';
+    const today = Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd');
+    const start = parseDateExpression_(startExpr, today);
+    const end = parseDateExpression_(raw.end_date, today);
+    const dateFix = 'Use YYYY-MM-DD, today, yesterday or today-N; start_date also takes month_to_date, last_month or since:YYYY-MM-DD.';
+    if (!startExpr) add('start_date', 'Missing start_date.', dateFix);
+    else if (!start) add('start_date', 'start_date "' + startExpr + '" is not a date or date expression.', dateFix);
+    if (raw.end_date && !end) {
+      add('end_date', 'end_date "' + raw.end_date + '" is not a date or date expression.', dateFix);
+    } else if (end && end.range) {
+      add('end_date', 'Range expressions (' + raw.end_date + ') only work in start_date.', 'Move it to start_date and leave end_date blank.');
+    } else if (!raw.end_date && start && !start.range) {
+      add('end_date', 'Missing end_date.', 'Fill end_date, or use a range expression such as since:' + start.start + ' in start_date.');
+    }
+    if (start && (raw.end_date ? end && !end.range : start.range)) {
+      const range = resolveDateRange_(startExpr, raw.end_date, tz);
+      if (range.start_date > range.end_date) {
+        add('start_date', 'start_date ' + startExpr + ' (' + range.start_date + ') is after end_date ' +
+          (raw.end_date || startExpr) + ' (' + range.end_date + ').', 'Swap the dates or fix the typo.');
+      }
+    }
+
+    if (raw.page_size && !isIntegerBetween_(raw.page_size, 1, 1000)) {
+      add('page_size', 'page_size must be a whole number from 1 to 1000.', 'Leave blank for the API default, or use e.g. 1000.');
+    }
+    ['enable_total_metrics', 'enabled'].forEach(f => {
+      if (raw[f] && ['TRUE', 'FALSE'].indexOf(String(raw[f]).toUpperCase()) === -1) {
+        add(f, f + ' must be TRUE or FALSE.', 'Use a checkbox or type TRUE / FALSE.');
+      }
+    });
+    if (raw.write_mode && ['replace', 'upsert'].indexOf(String(raw.write_mode).toLowerCase()) === -1) {
+      add('write_mode', 'write_mode must be "replace" or "upsert".', 'Use replace (default) or upsert.');
+    } else if (cfg.write_mode && cfgs[0].write_mode && cfg.write_mode !== cfgs[0].write_mode) {
+      add('write_mode', 'write_mode ' + cfg.write_mode + ' differs from ' + cfgs[0].write_mode + ' in Config row ' +
+        cfgs[0].config_row + '; a run writes its sheet one way.', 'Use the same write_mode on every row, or leave it blank to take row 2\'s.');
+    }
+    if (raw.lookback_days && !isIntegerBetween_(raw.lookback_days, 1, 365)) {
+      add('lookback_days', 'lookback_days must be a whole number of days (1–365).', 'Use e.g. 7, or leave blank for 7.');
+    }
+
+    ['campaign_ids', 'item_group_ids'].forEach(f => {
+      const bad = splitCsv_(raw[f]).filter(id => !isNumericId_(id));
+      if (bad.length) add(f, f + ' has non-numeric IDs: ' + bad.join(', ') + '.', 'Use comma-separated numeric IDs.');
+    });
+    if (raw.min_cost && !(isFinite(Number(raw.min_cost)) && Number(raw.min_cost) >= 0)) {
+      add('min_cost', 'min_cost must be a number of at least 0.', 'Spend in the account currency, e.g. 50, or leave blank.');
+    }
+    const badStatuses = splitCsv_(raw.creative_delivery_statuses)
+      .filter(st => CREATIVE_DELIVERY_STATUSES.indexOf(st.toUpperCase()) === -1);
+    if (badStatuses.length) {
+      add('creative_delivery_statuses', 'Unknown creative_delivery_statuses: ' + badStatuses.join(', ') + '.',
+        'Use any of ' + CREATIVE_DELIVERY_STATUSES.join(', ') + '.');
+    }
+  });
+  return out.concat(metricSelectionProblems_(spec));
+}
+
+function isNumericId_(v) {
+  return /^\d+$/.test(String(v));
+}
+
+function isIntegerBetween_(v, min, max) {
+  const n = Number(v);
+  return /^\d+$/.test(String(v)) && n >= min && n <= max;
+}
+
+// 'yyyy-MM-dd' that is a real calendar day (rejects 2025-02-30)
+function isIsoDate_(v) {
+  const s = String(v || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(s + 'T00:00:00Z');
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// 1 -> A, 27 -> AA
+function columnLetter_(n) {
+  let out = '';
+  for (let c = n; c > 0; c = Math.floor((c - 1) / 26)) out = String.fromCharCode(65 + (c - 1) % 26) + out;
+  return out;
+}
+
+/* ===================== Date expressions ===================== */
+
+/**
+ * start_date / end_date accept a day:
+ *   2025-06-01 · today · yesterday · today-7 (N days before today)
+ * and start_date also accepts a whole range, whose end is used when end_date is blank:
+ *   month_to_date (1st of this month..today) · last_month · since:2025-06-01 (..today)
+ * "today" is the current date in tz (the report timezone), so a scheduled run needs no edits.
+ * Returns { start_date, end_date } as 'yyyy-MM-dd'; throws on an unknown expression.
+ */
+function resolveDateRange_(startExpr, endExpr, tz) {
+  const today = Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd');
+  const start = parseDateExpression_(startExpr, today);
+  if (!start) throw new Error('Unknown start_date "' + startExpr + '".');
+  const end = endExpr ? parseDateExpression_(endExpr, today) : null;
+  if (endExpr && (!end || end.range)) throw new Error('Unknown end_date "' + endExpr + '".');
+  if (!end && !start.range) throw new Error('Missing end_date.');
+  return { start_date: start.start, end_date: end ? end.end : start.end };
+}
+
+/** { start, end, range } for one expression relative to today ('yyyy-MM-dd'), or null. */
+function parseDateExpression_(expr, today) {
+  const s = String(expr || '').trim().toLowerCase().replace(/\s+/g, '');
+  if (!s) return null;
+  const day = d => ({ start: d, end: d, range: false });
+
+  if (isIsoDate_(s)) return day(s);
+  if (s === 'today') return day(today);
+  if (s === 'yesterday') return day(addDays_(today, -1));
+  let m = s.match(/^today-(\d+)$/);
+  if (m) return day(addDays_(today, -Number(m[1])));
+
+  if (s === 'month_to_date') return { start: today.slice(0, 8) + '01', end: today, range: true };
+  if (s === 'last_month') {
+    const firstOfMonth = today.slice(0, 8) + '01';
+    const lastDay = addDays_(firstOfMonth, -1);
+    return { start: lastDay.slice(0, 8) + '01', end: lastDay, range: true };
+  }
+  m = s.match(/^since:(\d{4}-\d{2}-\d{2})$/);
+  if (m && isIsoDate_(m[1])) return { start: m[1], end: today, range: true };
+  return null;
+}
+
+function isRangeExpression_(expr) {
+  const parsed = parseDateExpression_(expr, '2000-01-01');
+  return !!(parsed && parsed.range);
+}
+
+function addDays_(dayStr, n) {
+  const d = new Date(dayStr + 'T00:00:00Z');
+  return Utilities.formatDate(new Date(d.getTime() + n * 24 * 60 * 60 * 1000), 'UTC', 'yyyy-MM-dd');
+}
+
+// Upsert mode refetches this many trailing days to pick up late attribution.
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+function splitCsv_(str) {
+  return String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Build ≤30-day daily windows from start..end (inclusive). Pure calendar-day arithmetic on
+// 'yyyy-MM-dd' strings, so the result does not depend on the script or spreadsheet timezone.
+function buildDailyWindows_(startDateStr, endDateStr) {
+  const out = [];
+  for (let curStart = startDateStr; curStart <= endDateStr; ) {
+    const last = addDays_(curStart, 29); // ≤30 days
+    const curEnd = last < endDateStr ? last : endDateStr;
+    out.push([curStart, curEnd]);
+    curStart = addDays_(curEnd, 1);
+  }
+  return out;
+}
+
+// Start of the trailing lookback window ending at endDateStr, never earlier than startDateStr.
+function lookbackStart_(startDateStr, endDateStr, lookbackDays) {
+  const msDay = 24 * 60 * 60 * 1000;
+  const end = new Date(endDateStr + 'T00:00:00Z');
+  const from = Utilities.formatDate(new Date(end.getTime() - (lookbackDays - 1) * msDay), 'UTC', 'yyyy-MM-dd');
+  return from > startDateStr ? from : startDateStr;
+}
+
+// Every calendar day from start..end (inclusive) as 'yyyy-MM-dd'; empty if start > end.
+function listDays_(startDateStr, endDateStr) {
+  const msDay = 24 * 60 * 60 * 1000;
+  const end = new Date(endDateStr + 'T00:00:00Z');
+  const out = [];
+  for (let cur = new Date(startDateStr + 'T00:00:00Z'); cur <= end; cur = new Date(cur.getTime() + msDay)) {
+    out.push(Utilities.formatDate(cur, 'UTC', 'yyyy-MM-dd'));
+  }
+  return out;
+}
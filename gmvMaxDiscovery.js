@@ -0,0 +1,141 @@
+/**
+ * GMV Max – discovery
+ *
+ * Drill-down reports (product daily, creative statuses, creative daily) can cover a whole store
+ * instead of hand-typed IDs:
+ *   - blank campaign_ids: the Product GMV Max campaigns with delivery in the row's date range,
+ *     from the campaign-level report (name, status and spend), narrowed by the row's filters:
+ *       include_campaigns / exclude_campaigns – name fragments, case-insensitive, CSV
+ *       campaign_statuses                     – operation_status values to keep, e.g. ENABLE
+ *       min_cost                              – minimum spend in the date range
+ *   - blank item_group_ids: the item groups each campaign delivered in the range, from the
+ *     product-level report.
+ * Typed IDs are used as they are. Lookups go one ≤30-day window at a time and are cached for
+ * an hour per advertiser/store(/campaign)/range. Their retries come out of the calling run's
+ * retryBudget (prepareRow gets it as its second argument).
+ */
+const CAMPAIGN_DISCOVERY_REPORT = {
+  name: 'Campaign discovery',
+  promotionType: 'PRODUCT',
+  dimensions: ['campaign_id'],
+  metrics: ['campaign_name', 'operation_status', 'cost'],
+  filtering: { gmv_max_promotion_types: ['PRODUCT'] },
+  columns: ['campaign_id', 'campaign_name', 'operation_status', 'cost']
+};
+const ITEM_GROUP_DISCOVERY_REPORT = {
+  name: 'Item group discovery',
+  promotionType: 'PRODUCT',
+  dimensions: ['item_group_id'],
+  metrics: ['cost'],
+  filtering: cfg => ({ campaign_ids: [cfg.campaign_id] }),
+  columns: ['item_group_id']
+};
+const DISCOVERY_CACHE_SECONDS = 60 * 60;
+
+// Item group IDs per request; the filter travels in the URL, which UrlFetchApp caps at about 2 KB
+const DISCOVERY_ITEM_GROUPS_PER_REQUEST = 20;
+
+/** Campaign IDs for a Config row: its campaign_ids, else the discovered campaigns that pass its filters. */
+function campaignIdsFor_(cfg, retryBudget) {
+  if (cfg.campaign_ids.length > 0) return cfg.campaign_ids;
+  const campaigns = discoverCampaigns_(cfg, retryBudget);
+  const kept = campaigns.filter(c => campaignPassesFilters_(c, cfg));
+  console.log('Config row ' + cfg.config_row + ': ' + kept.length + ' of ' + campaigns.length +
+    ' discovered campaign(s) kept for ' + cfg.advertiser_id + '/' + cfg.store_id + '.');
+  return kept.map(c => c.campaign_id);
+}
+
+/**
+ * Request rows for the creative reports: one per campaign and batch of item groups. Typed
+ * item_group_ids are used for all of the row's campaigns together; otherwise each campaign's
+ * item groups are discovered.
+ */
+function campaignItemGroupRows_(cfg, retryBudget) {
+  const batches = (campaignIds, groups) => {
+    const out = [];
+    for (let i = 0; i < groups.length; i += DISCOVERY_ITEM_GROUPS_PER_REQUEST) {
+      out.push(Object.assign({}, cfg, {
+        campaign_ids: campaignIds,
+        item_group_ids: groups.slice(i, i + DISCOVERY_ITEM_GROUPS_PER_REQUEST)
+      }));
+    }
+    return out;
+  };
+  const campaignIds = campaignIdsFor_(cfg, retryBudget);
+  if (cfg.item_group_ids.length > 0) return batches(campaignIds, cfg.item_group_ids);
+
+  const rows = [];
+  campaignIds.forEach(campaignId => {
+    batches([campaignId], discoverItemGroupIds_(cfg, campaignId, retryBudget)).forEach(row => rows.push(row));
+  });
+  return rows;
+}
+
+/** [{ campaign_id, campaign_name, operation_status, cost }] with delivery in the row's range (cost summed). */
+function discoverCampaigns_(cfg, retryBudget) {
+  const key = ['gmvmax_campaigns', cfg.advertiser_id, cfg.store_id, cfg.start_date, cfg.end_date].join('_');
+  return cachedDiscovery_(key, () => {
+    const byId = {};
+    const order = [];
+    discoveryRows_(CAMPAIGN_DISCOVERY_REPORT, cfg, retryBudget).forEach(r => {
+      const id = String(r.campaign_id);
+      if (!byId[id]) {
+        byId[id] = { campaign_id: id, cost: 0 };
+        order.push(id);
+      }
+      // name and status as of the latest window
+      byId[id].campaign_name = String(r.campaign_name || '');
+      byId[id].operation_status = String(r.operation_status || '');
+      byId[id].cost += num_(r.cost) || 0;
+    });
+    return order.map(id => byId[id]);
+  });
+}
+
+/** Item group IDs with delivery in campaignId between cfg.start_date and cfg.end_date. */
+function discoverItemGroupIds_(cfg, campaignId, retryBudget) {
+  const key = ['gmvmax_item_groups', cfg.advertiser_id, cfg.store_id, campaignId, cfg.start_date, cfg.end_date].join('_');
+  return cachedDiscovery_(key, () => {
+    const ids = [];
+    discoveryRows_(ITEM_GROUP_DISCOVERY_REPORT, Object.assign({}, cfg, { campaign_id: campaignId }), retryBudget).forEach(r => {
+      const id = String(r.item_group_id);
+      if (id && ids.indexOf(id) === -1) ids.push(id);
+    });
+    return ids;
+  });
+}
+
+function campaignPassesFilters_(campaign, cfg) {
+  const name = campaign.campaign_name.toLowerCase();
+  const matches = fragments => fragments.some(f => name.indexOf(f.toLowerCase()) !== -1);
+  if (cfg.include_campaigns.length > 0 && !matches(cfg.include_campaigns)) return false;
+  if (matches(cfg.exclude_campaigns)) return false;
+  if (cfg.campaign_statuses.length > 0 && cfg.campaign_statuses.indexOf(campaign.operation_status.toUpperCase()) === -1) return false;
+  if (cfg.min_cost !== null && cfg.min_cost !== undefined && campaign.cost < cfg.min_cost) return false;
+  return true;
+}
+
+// Rows of a discovery report over the row's range, one ≤30-day window at a time
+function discoveryRows_(spec, cfg, retryBudget) {
+  const accessToken = getAccessToken_();
+  const rows = [];
+  buildDailyWindows_(cfg.start_date, cfg.end_date).forEach(([startDate, endDate]) => {
+    const request = Object.assign({}, cfg, { start_date: startDate, end_date: endDate, enable_total_metrics: false });
+    fetchGmvMaxReport_(spec, request, accessToken, retryBudget).rows.forEach(r => rows.push(r));
+  });
+  return rows;
+}
+
+function cachedDiscovery_(key, lookup) {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(key);
+  if (cached) return JSON.parse(cached);
+  const value = lookup();
+  try {
+    cache.put(key, JSON.stringify(value), DISCOVERY_CACHE_SECONDS);
+  } catch (err) {
+    // Over the 100 KB per-value limit (a large store's item groups): the next run looks it up again
+    console.warn('Discovery result ' + key + ' not cached – ' + String(err && err.message || err));
+  }
+  return value;
+}
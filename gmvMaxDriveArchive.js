@@ -0,0 +1,202 @@
+/**
+ * GMV Max – Drive archive sink
+ *
+ * { type: 'drive', format, folderId, name, keepSheetDays } in spec.sinks keeps the report's rows
+ * in Drive, one file per report, advertiser and month of the row's date:
+ *   <archive folder>/<name, default sheetName>/<advertiser_id>/<yyyy-MM>.csv   (or .ndjson)
+ * Each month a run touches is written over its existing file, never added as another:
+ *   - a replace run (the data sheet was replaced) first drops the file's rows of each
+ *     advertiser/store it refetched whose day is inside that pair's date range, then adds the
+ *     fetched rows; rows gone upstream (e.g. a campaign taken out of Config) go too, while days
+ *     outside the range stay, so the archive keeps the full history
+ *   - an upsert run only brings the lookback days, so its rows are merged into the file by the
+ *     report's key columns; rows trimmed from the sheet (keepSheetDays) are merged the same way
+ * manifest.json in the report folder lists every partition with its file id, row count,
+ * first/last date and the run that last wrote it.
+ *
+ *   format        – 'csv' (default, with a header row) or 'ndjson' (one JSON object per line)
+ *   folderId      – archive folder; default the GMVMAX_ARCHIVE_FOLDER_ID Script Property, else a
+ *                   "GMV Max archive" folder created on the first run (and saved in that property)
+ *   keepSheetDays – once the archive is written, data-sheet rows older than this many days are
+ *                   archived as well and removed from the sheet, which then holds a recent window
+ *                   while Drive holds the full history (rollups cover the window only)
+ *
+ * Values are archived as the data sheet holds them: dates as yyyy-MM-dd, date-times as
+ * yyyy-MM-dd HH:mm:ss, numbers as numbers, percentages as fractions.
+ */
+const ARCHIVE_FOLDER_PROPERTY = 'GMVMAX_ARCHIVE_FOLDER_ID';
+const ARCHIVE_DEFAULT_FOLDER = 'GMV Max archive';
+const ARCHIVE_MANIFEST_FILE = 'manifest.json';
+const ARCHIVE_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' }
+};
+// A row's month is taken from the first of these the report has
+const ARCHIVE_DATE_COLUMNS = ['stat_time_day', 'stat_date', 'stat_time_hour'];
+
+// ranges: for a replace run, the [{ advertiser_id, store_id, start_date, end_date }] it refetched; null on upsert
+function writeDriveArchive_(spec, sink, rows, run, ranges) {
+  const archive = openDriveArchive_(spec, sink);
+  archiveRows_(archive, rows, run, ranges);
+
+  if (sink.keepSheetDays) {
+    const cutoff = Utilities.formatDate(new Date(Date.now() - sink.keepSheetDays * 24 * 3600 * 1000), archive.tz, 'yyyy-MM-dd');
+    const day = r => String(archiveValue_(r[archive.dateColumn], columnTypeOf_(archive.dateColumn), archive.tz)).slice(0, 10);
+    // Older rows are archived before they leave the sheet (they may predate the archive)
+    const removed = trimSheetRows_(spec.sheetName, r => day(r) === '' || day(r) >= cutoff,
+      old => archiveRows_(archive, old, run, null));
+    if (removed > 0) console.log(spec.name + ': ' + removed + ' row(s) before ' + cutoff + ' moved from the sheet to the Drive archive.');
+  }
+  saveArchiveManifest_(archive);
+}
+
+function openDriveArchive_(spec, sink) {
+  const format = ARCHIVE_FORMATS[sink.format || 'csv'];
+  if (!format) throw new Error('format must be one of ' + Object.keys(ARCHIVE_FORMATS).join(', ') + '.');
+  if (sink.keepSheetDays !== undefined && !(Number.isInteger(sink.keepSheetDays) && sink.keepSheetDays > 0)) {
+    throw new Error('keepSheetDays must be a whole number of days.');
+  }
+  const headers = reportHeaders_(spec);
+  const dateColumn = ARCHIVE_DATE_COLUMNS.filter(c => headers.indexOf(c) !== -1)[0];
+  if (!dateColumn) throw new Error('the Drive archive needs a daily or hourly report (partitions are months).');
+
+  const folder = archiveChildFolder_(archiveRootFolder_(sink), sink.name || spec.sheetName);
+  const manifestFile = folder.getFilesByName(ARCHIVE_MANIFEST_FILE);
+  const file = manifestFile.hasNext() ? manifestFile.next() : null;
+  return {
+    spec: spec,
+    format: format,
+    headers: headers,
+    types: reportColumnTypes_(spec),
+    keyColumns: reportKeyColumns_(spec),
+    dateColumn: dateColumn,
+    folder: folder,
+    tz: SpreadsheetApp.getActive().getSpreadsheetTimeZone(),
+    manifestFile: file,
+    manifest: file ? JSON.parse(file.getBlob().getDataAsString()) : { report: spec.name, sheet: spec.sheetName, partitions: [] }
+  };
+}
+
+/**
+ * Merge rows (report rows or data-sheet rows) into their advertiser/month files, after dropping
+ * the days `ranges` refetched (every month of a range, even one no row falls in).
+ */
+function archiveRows_(archive, rows, run, ranges) {
+  const partitions = {};
+  (ranges || []).forEach(r => listDays_(r.start_date, r.end_date).forEach(day => {
+    const key = r.advertiser_id + '/' + day.slice(0, 7);
+    partitions[key] = partitions[key] || [];
+  }));
+  rows.forEach(row => {
+    const record = {};
+    archive.headers.forEach((h, i) => record[h] = archiveValue_(row[h], archive.types[i], archive.tz));
+    const month = String(record[archive.dateColumn]).slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(month) || record.advertiser_id === '') return; // nothing to file it under
+    const key = record.advertiser_id + '/' + month;
+    (partitions[key] = partitions[key] || []).push(record);
+  });
+  Object.keys(partitions).forEach(key => {
+    const [advertiserId, month] = key.split('/');
+    writeArchivePartition_(archive, advertiserId, month, partitions[key], run, ranges || []);
+  });
+}
+
+function writeArchivePartition_(archive, advertiserId, month, records, run, ranges) {
+  const folder = archiveChildFolder_(archive.folder, advertiserId);
+  const fileName = month + '.' + archive.format.extension;
+  const files = folder.getFilesByName(fileName);
+  const file = files.hasNext() ? files.next() : null;
+  if (!file && records.length === 0) return;
+  const refetched = r => ranges.some(g => String(g.advertiser_id) === String(r.advertiser_id) &&
+    String(g.store_id) === String(r.store_id) && inRange_(String(r[archive.dateColumn]).slice(0, 10), g));
+
+  const keyOf = r => archive.keyColumns.map(k => String(r[k] ?? '')).join('|');
+  const byKey = {};
+  const headers = archive.headers.slice();
+  if (file) {
+    parseArchiveFile_(archive.format, file.getBlob().getDataAsString()).filter(r => !refetched(r)).forEach(r => {
+      // Columns the report no longer has are kept for the rows that have them
+      Object.keys(r).forEach(h => { if (headers.indexOf(h) === -1) headers.push(h); });
+      byKey[keyOf(r)] = r;
+    });
+  }
+  records.forEach(r => byKey[keyOf(r)] = Object.assign({}, byKey[keyOf(r)], r));
+
+  const sortKey = r => String(r[archive.dateColumn]) + '|' + keyOf(r);
+  const merged = Object.keys(byKey).map(k => byKey[k]).sort((a, b) => sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0);
+  const content = archive.format === ARCHIVE_FORMATS.ndjson
+    ? merged.map(r => JSON.stringify(pick_(r, headers))).join('\n') + '\n'
+    : toCsv_([headers].concat(merged.map(r => headers.map(h => r[h]))));
+  const saved = file ? file.setContent(content) : folder.createFile(fileName, content, archive.format.mimeType);
+
+  const path = advertiserId + '/' + fileName;
+  const days = merged.map(r => String(r[archive.dateColumn]).slice(0, 10)).filter(String);
+  archive.manifest.partitions = archive.manifest.partitions.filter(p => p.path !== path).concat([{
+    path: path,
+    advertiser_id: advertiserId,
+    month: month,
+    format: archive.format.extension,
+    file_id: saved.getId(),
+    rows: merged.length,
+    first_date: days.length ? days.reduce((a, b) => a < b ? a : b) : '',
+    last_date: days.length ? days.reduce((a, b) => a > b ? a : b) : '',
+    updated_at: Utilities.formatDate(new Date(), archive.tz, 'yyyy-MM-dd HH:mm:ss'),
+    run_id: run ? run.run_id : ''
+  }]);
+}
+
+function inRange_(day, range) {
+  return day >= range.start_date && day <= range.end_date;
+}
+
+function saveArchiveManifest_(archive) {
+  const manifest = archive.manifest;
+  manifest.partitions.sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  manifest.updated_at = Utilities.formatDate(new Date(), archive.tz, 'yyyy-MM-dd HH:mm:ss');
+  const content = JSON.stringify(manifest, null, 2);
+  if (archive.manifestFile) archive.manifestFile.setContent(content);
+  else archive.manifestFile = archive.folder.createFile(ARCHIVE_MANIFEST_FILE, content, 'application/json');
+}
+
+// Report values (API strings) and sheet values (Dates, numbers) end up the same.
+function archiveValue_(value, type, tz) {
+  if (value instanceof Date) return Utilities.formatDate(value, tz, type === 'date' ? 'yyyy-MM-dd' : 'yyyy-MM-dd HH:mm:ss');
+  if (type === 'percent' && typeof value === 'number') return value; // already a fraction in the sheet
+  return toCellValue_(value, type);
+}
+
+function parseArchiveFile_(format, text) {
+  if (format === ARCHIVE_FORMATS.ndjson) {
+    return text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+  const values = text.trim() === '' ? [] : Utilities.parseCsv(text);
+  if (values.length === 0) return [];
+  const headers = values[0];
+  return values.slice(1).map(v => {
+    const obj = {};
+    headers.forEach((h, i) => obj[h] = v[i] ?? '');
+    return obj;
+  });
+}
+
+function toCsv_(lines) {
+  const cell = v => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  return lines.map(line => line.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function archiveRootFolder_(sink) {
+  const props = PropertiesService.getScriptProperties();
+  const id = sink.folderId || props.getProperty(ARCHIVE_FOLDER_PROPERTY);
+  if (id) return DriveApp.getFolderById(id);
+  const folder = DriveApp.createFolder(ARCHIVE_DEFAULT_FOLDER);
+  props.setProperty(ARCHIVE_FOLDER_PROPERTY, folder.getId());
+  return folder;
+}
+
+function archiveChildFolder_(parent, name) {
+  const folders = parent.getFoldersByName(name);
+  return folders.hasNext() ? folders.next() : parent.createFolder(name);
+}
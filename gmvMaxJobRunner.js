@@ -0,0 +1,269 @@
+/**
+ * GMV Max – checkpointed job runner
+ * Runs a report over many slices (window × advertiser/store pair) across several executions.
+ *
+ * The cursor (slice, page, rows written, running totals) lives in Script Properties: the position
+ * under GMVMAX_JOB_<id>, and its bulky parts (params with the advertiser/store pairs, gaps,
+ * totals) split over GMVMAX_JOBDATA_<id>_<n>, since one property holds only about 9 KB. Before
+ * the Apps Script 6-minute cap, the runner saves the cursor and schedules a one-off trigger for
+ * job.handler, which calls back in and resumes. When the last slice is done, the cursor and the
+ * continuation trigger are removed.
+ *
+ * Backoff sleeps are cut off at the time limit as well (the page is retried after the pause), and
+ * finish only starts early enough in an execution to complete; otherwise it gets one of its own.
+ *
+ * A job:
+ *   {
+ *     id:        'live_campaign_daily',            // cursor key
+ *     handler:   'runLiveGmvMaxCampaignDaily_...',  // global function the continuation trigger calls
+ *     spec:      LIVE_CAMPAIGN_DAILY_REPORT,
+ *     specFor(params):     optional; the spec a run uses, e.g. with the metrics chosen when it started
+ *     source:    'manual' | 'trigger' ...,         // for Run_Log (one row per execution)
+ *     init(retryBudget):   params stored in the cursor for a fresh run (e.g. { start, end }); API
+ *                          lookups it makes share the execution's retryBudget
+ *     slices(params):      [{ advertiser_id, store_id, start_date, end_date, enable_total_metrics }]
+ *     begin(params):       called once at the start of a fresh run (e.g. start a staging sheet)
+ *     writeRows(rows, params): persist one page of rows
+ *     onSliceError(slice, err, run): record a failed slice (the job moves on), e.g. logConfigRowError_
+ *     onProgress(p):       optional; after every page, with { request, requests, advertiser_id,
+ *                          store_id, window, page, total_pages, rows_fetched } like runGmvMaxReport_
+ *     finish(cursor, run): called once after the last slice (e.g. write totals; cursor.totals is
+ *                          the combineTotals_ running total of cursor.totals_parts slices, and
+ *                          cursor.gaps lists the failed ones of cursor.slice_count slices
+ *                          as dataGapOf_ entries)
+ *   }
+ *
+ * The cursor is removed once finish has been called, even if it throws (e.g. because the
+ * report's onFailure policy refuses to publish a run with gaps). If the cursor cannot be saved,
+ * the rows already staged are no longer accounted for, so the run fails and the job is reset:
+ * the next run starts over with a fresh staging sheet rather than duplicating or losing pages.
+ */
+const GMVMAX_JOB_MAX_RUNTIME_MS = 4.5 * 60 * 1000; // leave headroom under the 6-minute cap
+const GMVMAX_JOB_RESUME_AFTER_MS = 60 * 1000;
+// Later than this into an execution, job.finish (publish, sinks, rollups, alerts) waits for the next one
+const GMVMAX_JOB_FINISH_BY_MS = 3.5 * 60 * 1000;
+// Characters per GMVMAX_JOBDATA_ property: under the ~9 KB value limit even for 3-byte characters
+const GMVMAX_JOB_DATA_CHUNK = 2500;
+// The cursor fields kept with the bulky data rather than in the position property
+const GMVMAX_JOB_DATA_FIELDS = ['params', 'gaps', 'totals'];
+
+function runCheckpointedJob_(job) {
+  const startedAt = Date.now();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    console.warn('Job ' + job.id + ' is already running; skipping this execution.');
+    return { status: 'busy' };
+  }
+
+  const run = startRunLog_(job.spec, job.source);
+  try {
+    const result = runJobSlices_(job, run, startedAt);
+    // Failed slices, or anything else logged to GMVMax_Errors by this execution (e.g. a sink)
+    const failed = result.status === 'done' && (result.cursor.failed_slices > 0 || run.failures > 0);
+    result.run_status = result.status === 'paused' ? 'PAUSED' : (failed ? 'PARTIAL' : 'OK');
+    finishRunLog_(run, result.run_status);
+    return result;
+  } catch (err) {
+    if (err.jobCursorNotSaved) resetCheckpointedJob_(job.id);
+    finishRunLog_(run, 'FAILED', err);
+    throw err;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function runJobSlices_(job, run, startedAt) {
+  let cursor = loadJobCursor_(job.id);
+  deleteJobContinuation_(cursor); // the one-off trigger that brought us here, if any
+  // Backoff sleeps end before the time limit too, so a retried page cannot run into the 6-minute cap
+  const retryBudget = newRetryBudget_(startedAt + GMVMAX_JOB_MAX_RUNTIME_MS);
+
+  if (!cursor) {
+    const params = job.init(retryBudget);
+    cursor = {
+      params: params,
+      slice: 0,
+      page: 1,
+      rows_written: 0,
+      failed_slices: 0,
+      gaps: [],
+      totals: {},
+      totals_parts: 0,
+      started_at: new Date(startedAt).toISOString(),
+      executions: 0,
+      sheet: job.spec.sheetName // see jobsWritingSheet_
+    };
+    job.begin(params);
+  } else {
+    run.source = 'continuation'; // a later execution of a job that paused
+  }
+  cursor.executions++;
+  saveJobCursor_(job.id, cursor);
+  run.params = cursor.params;
+
+  const spec = job.specFor ? job.specFor(cursor.params) : job.spec;
+  const slices = job.slices(cursor.params);
+  cursor.slice_count = slices.length;
+  const accessToken = getAccessToken_();
+  const outOfTime = () => Date.now() - startedAt > GMVMAX_JOB_MAX_RUNTIME_MS;
+
+  while (cursor.slice < slices.length) {
+    if (outOfTime()) return pauseJob_(job, cursor);
+
+    const slice = slices[cursor.slice];
+    run.windows++;
+    try {
+      const result = fetchGmvMaxReport_(spec, Object.assign({ start_page: cursor.page }, slice), accessToken, retryBudget, {
+        onPage: (rows, page, body) => {
+          job.writeRows(rows, cursor.params);
+          recordRunPage_(run, body);
+          run.rows_written += rows.length;
+          // total_metrics repeats on every page; count it once per slice
+          if (page === 1 && slice.enable_total_metrics === true && body.total_metrics) {
+            cursor.totals = combineTotals_(cursor.totals, body.total_metrics);
+            cursor.totals_parts++;
+          }
+          cursor.rows_written += rows.length;
+          cursor.page = page + 1;
+          saveJobCursor_(job.id, cursor);
+        },
+        onProgress: (page, totalPages) => job.onProgress && job.onProgress({
+          request: cursor.slice + 1,
+          requests: slices.length,
+          advertiser_id: slice.advertiser_id,
+          store_id: slice.store_id,
+          window: slice.start_date + '..' + slice.end_date,
+          page: page,
+          total_pages: totalPages,
+          rows_fetched: cursor.rows_written
+        }),
+        shouldStop: outOfTime
+      });
+      if (result.nextPage) return pauseJob_(job, cursor);
+    } catch (err) {
+      if (err.tokenRejected) throw err; // cursor is kept; the job resumes here after re-authorization
+      if (err.jobCursorNotSaved) throw err;
+      if (err.outOfTime) return pauseJob_(job, cursor); // the next execution retries this page
+      job.onSliceError(slice, err, run);
+      cursor.failed_slices++;
+      cursor.gaps = (cursor.gaps || []).concat([dataGapOf_(slice, err)]);
+    }
+
+    cursor.slice++;
+    cursor.page = 1;
+    saveJobCursor_(job.id, cursor);
+  }
+
+  if (Date.now() - startedAt > GMVMAX_JOB_FINISH_BY_MS) return pauseJob_(job, cursor); // the next execution only finishes
+  try {
+    job.finish(cursor, run);
+  } finally {
+    deleteJobCursor_(job.id);
+  }
+  return { status: 'done', cursor };
+}
+
+/**
+ * Ids of the jobs with a saved cursor (paused, or running right now) that write `sheetName`.
+ * Other runs of that sheet must wait: they would clear the job's staging sheet.
+ */
+function jobsWritingSheet_(sheetName) {
+  // Only position properties: GMVMAX_JOBDATA_ keys do not start with GMVMAX_JOB_
+  const props = PropertiesService.getScriptProperties().getProperties();
+  return Object.keys(props)
+    .filter(k => k.indexOf(jobCursorKey_('')) === 0)
+    .filter(k => {
+      try {
+        return JSON.parse(props[k]).sheet === sheetName;
+      } catch (e) {
+        return false;
+      }
+    })
+    .map(k => k.slice(jobCursorKey_('').length));
+}
+
+/** Drop a job's saved cursor and pending continuation so the next run starts from scratch. */
+function resetCheckpointedJob_(jobId) {
+  deleteJobContinuation_(loadJobCursor_(jobId));
+  deleteJobCursor_(jobId);
+}
+
+function pauseJob_(job, cursor) {
+  const trigger = ScriptApp.newTrigger(job.handler)
+    .timeBased()
+    .after(GMVMAX_JOB_RESUME_AFTER_MS)
+    .create();
+  cursor.trigger_id = trigger.getUniqueId();
+  saveJobCursor_(job.id, cursor);
+  console.log('Job ' + job.id + ' paused at slice ' + cursor.slice + ' page ' + cursor.page +
+    ' (' + cursor.rows_written + ' rows so far); resuming via trigger.');
+  return { status: 'paused', cursor };
+}
+
+// Only the trigger this job created is removed; other triggers on the same handler are left alone.
+function deleteJobContinuation_(cursor) {
+  if (!cursor || !cursor.trigger_id) return;
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getUniqueId() === cursor.trigger_id)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  delete cursor.trigger_id;
+}
+
+function jobCursorKey_(jobId) {
+  return 'GMVMAX_JOB_' + jobId;
+}
+
+function jobDataKey_(jobId, n) {
+  return 'GMVMAX_JOBDATA_' + jobId + '_' + n;
+}
+
+function loadJobCursor_(jobId) {
+  const props = PropertiesService.getScriptProperties();
+  const raw = props.getProperty(jobCursorKey_(jobId));
+  if (!raw) return null;
+  const cursor = JSON.parse(raw);
+  let data = '';
+  for (let n = 0; n < (cursor.data_chunks || 0); n++) data += props.getProperty(jobDataKey_(jobId, n)) || '';
+  if (cursor.data_chunks) Object.assign(cursor, JSON.parse(data));
+  delete cursor.data_chunks;
+  return cursor;
+}
+
+/** Save the cursor; throws an error marked jobCursorNotSaved if Script Properties refuse it. */
+function saveJobCursor_(jobId, cursor) {
+  const position = {};
+  const bulky = {};
+  Object.keys(cursor).forEach(k => (GMVMAX_JOB_DATA_FIELDS.indexOf(k) === -1 ? position : bulky)[k] = cursor[k]);
+  const data = JSON.stringify(bulky);
+  const values = {};
+  for (let n = 0; n * GMVMAX_JOB_DATA_CHUNK < data.length; n++) {
+    values[jobDataKey_(jobId, n)] = data.slice(n * GMVMAX_JOB_DATA_CHUNK, (n + 1) * GMVMAX_JOB_DATA_CHUNK);
+  }
+  position.data_chunks = Object.keys(values).length;
+  values[jobCursorKey_(jobId)] = JSON.stringify(position);
+
+  const props = PropertiesService.getScriptProperties();
+  try {
+    props.setProperties(values); // one call, so the position never points at chunks from another save
+  } catch (err) {
+    const e = new Error('Job ' + jobId + ' could not save its progress (' + String(err && err.message || err) +
+      '); it was reset and starts over on the next run.');
+    e.jobCursorNotSaved = true;
+    throw e;
+  }
+  deleteJobDataChunks_(props, jobId, position.data_chunks);
+}
+
+function deleteJobCursor_(jobId) {
+  const props = PropertiesService.getScriptProperties();
+  props.deleteProperty(jobCursorKey_(jobId));
+  deleteJobDataChunks_(props, jobId, 0);
+}
+
+// Chunks from `from` on are left over from a larger earlier save (or the whole data on delete)
+function deleteJobDataChunks_(props, jobId, from) {
+  const prefix = jobDataKey_(jobId, '');
+  props.getKeys()
+    .filter(k => k.indexOf(prefix) === 0 && Number(k.slice(prefix.length)) >= from)
+    .forEach(k => props.deleteProperty(k));
+}
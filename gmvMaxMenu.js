@@ -0,0 +1,221 @@
+/**
+ * GMV Max – spreadsheet menu and sidebar
+ *
+ * onOpen adds a "GMV Max" menu: one item per report opens the sidebar (gmvMaxSidebar.html) to
+ * run it for a single advertiser/store without touching the Config sheet; "Run from Config sheet"
+ * runs the usual Config-driven functions. Sidebar input goes through the same validateConfigRows_
+ * as the Config sheet. While a report runs, the sidebar polls getGmvMaxRunProgress for the
+ * current window, page and rows fetched, then shows a summary with links to the output sheets.
+ * Sidebar runs hold the script lock like schedules; Config-menu runs take it to write. The LIVE
+ * daily backfill runs as its job, so a long range pauses before the time limit and finishes by
+ * trigger; the sidebar says so.
+ */
+
+// Every report the menu offers. `fields` are the extra sidebar inputs the report uses; `job` and
+// `runJob` (and `resetJob`) mark a report that runs as a checkpointed job (gmvMaxJobRunner.js).
+function gmvMaxReports_() {
+  return [
+    {
+      id: 'product_campaign_daily', spec: PRODUCT_CAMPAIGN_DAILY_REPORT, fields: [],
+      sidebar: 'openProductGmvMaxCampaignDailySidebar', configRunner: 'runProductGmvMaxCampaignDaily'
+    },
+    {
+      id: 'product_campaign_hourly', spec: PRODUCT_CAMPAIGN_HOURLY_REPORT, fields: [],
+      sidebar: 'openProductGmvMaxCampaignHourlySidebar', configRunner: 'runProductGmvMaxCampaignHourly'
+    },
+    {
+      id: 'product_product_daily', spec: PRODUCT_PRODUCT_DAILY_REPORT, fields: ['campaign_ids'],
+      prepareRow: productCampaignRows_,
+      sidebar: 'openProductGmvMaxProductDailySidebar', configRunner: 'runProductGmvMaxProductDaily'
+    },
+    {
+      id: 'product_creative_statuses', spec: PRODUCT_CREATIVE_STATUSES_REPORT,
+      fields: ['campaign_ids', 'item_group_ids', 'creative_delivery_statuses'],
+      prepareRow: campaignItemGroupRows_,
+      sidebar: 'openProductGmvMaxCreativeStatusesSidebar', configRunner: 'runProductGmvMaxCreativeStatuses'
+    },
+    {
+      id: 'product_creative_daily', spec: PRODUCT_CREATIVE_DAILY_REPORT,
+      fields: ['campaign_ids', 'item_group_ids', 'creative_delivery_statuses'],
+      prepareRow: campaignItemGroupRows_,
+      sidebar: 'openProductGmvMaxCreativeDailySidebar', configRunner: 'runProductGmvMaxCreativeDaily'
+    },
+    {
+      // A checkpointed job: run through runJob (which locks, pauses and resumes), never runGmvMaxReport_
+      id: 'live_campaign_daily', spec: LIVE_CAMPAIGN_DAILY_REPORT, fields: [],
+      job: 'live_campaign_daily', runJob: runLiveGmvMaxCampaignDaily_SinceJune1_Simple, resetJob: 'resetLiveGmvMaxCampaignDailyJob',
+      sidebar: 'openLiveGmvMaxCampaignDailySidebar', configRunner: 'runLiveGmvMaxCampaignDaily_SinceJune1_Simple'
+    },
+    {
+      id: 'live_campaign_hourly', spec: LIVE_CAMPAIGN_HOURLY_REPORT, fields: [],
+      sidebar: 'openLiveGmvMaxCampaignHourlySidebar', configRunner: 'runLiveGmvMaxCampaignHourly'
+    }
+  ];
+}
+
+function gmvMaxReportById_(id) {
+  const report = gmvMaxReports_().filter(r => r.id === id)[0];
+  if (!report) throw new Error('Unknown report "' + id + '".');
+  return report;
+}
+
+function onOpen() {
+  const ui = SpreadsheetApp.getUi();
+  const reports = gmvMaxReports_();
+
+  const fromConfig = ui.createMenu('Run from Config sheet');
+  reports.forEach(r => fromConfig.addItem(r.spec.name, r.configRunner));
+
+  const menu = ui.createMenu('GMV Max');
+  reports.forEach(r => menu.addItem(r.spec.name + '…', r.sidebar));
+  menu.addSeparator()
+    .addSubMenu(fromConfig)
+    .addItem('Set up Metrics sheet', 'setUpMetricsSheet')
+    .addItem('Set up Alerts_Rules sheet', 'setUpAlertRulesSheet')
+    .addSeparator()
+    .addItem('Install / update schedules', 'installGmvMaxSchedules')
+    .addItem('Remove schedules', 'removeGmvMaxSchedules')
+    .addSeparator()
+    .addItem('Authorize TikTok…', 'showTikTokAuthorizationDialog')
+    .addItem('List advertisers', 'listTikTokAdvertisers')
+    .addToUi();
+}
+
+// Menu handlers must be global functions, one per report.
+function openProductGmvMaxCampaignDailySidebar() { showGmvMaxSidebar_('product_campaign_daily'); }
+function openProductGmvMaxCampaignHourlySidebar() { showGmvMaxSidebar_('product_campaign_hourly'); }
+function openProductGmvMaxProductDailySidebar() { showGmvMaxSidebar_('product_product_daily'); }
+function openProductGmvMaxCreativeStatusesSidebar() { showGmvMaxSidebar_('product_creative_statuses'); }
+function openProductGmvMaxCreativeDailySidebar() { showGmvMaxSidebar_('product_creative_daily'); }
+function openLiveGmvMaxCampaignDailySidebar() { showGmvMaxSidebar_('live_campaign_daily'); }
+function openLiveGmvMaxCampaignHourlySidebar() { showGmvMaxSidebar_('live_campaign_hourly'); }
+
+function showGmvMaxSidebar_(reportId) {
+  const report = gmvMaxReportById_(reportId);
+  const template = HtmlService.createTemplateFromFile('gmvMaxSidebar');
+  template.state = JSON.stringify(gmvMaxSidebarState_(report));
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle(report.spec.name));
+}
+
+/** Report info plus defaults from Config (row 2) and the advertiser/store pairs it lists. */
+function gmvMaxSidebarState_(report) {
+  let defaults = {};
+  let pairs = [];
+  try {
+    const cfgs = readConfigRows_();
+    defaults = cfgs[0].raw;
+    pairs = cfgs.map(c => ({ advertiser_id: c.advertiser_id, store_id: c.store_id }));
+  } catch (e) {
+    // No usable Config sheet: the form starts blank
+  }
+  return {
+    report: { id: report.id, name: report.spec.name, fields: report.fields },
+    defaults: defaults,
+    pairs: pairs,
+    statuses: CREATIVE_DELIVERY_STATUSES
+  };
+}
+
+/**
+ * Called by the sidebar. Returns { ok: false, problems } when the input does not validate or
+ * another run is in the way, otherwise runs the report and returns
+ * { ok: true, rows, failures, paused, sheets: [{ name, url }] } (paused: a job-backed report
+ * stopped before the time limit and resumes by trigger).
+ */
+function runGmvMaxReportFromSidebar(reportId, form, runId) {
+  const report = gmvMaxReportById_(reportId);
+  const cfg = sidebarConfig_(form);
+  const problems = validateConfigRows_(report.spec, [cfg]);
+  if (problems.length > 0) return { ok: false, problems };
+
+  const cache = CacheService.getUserCache();
+  const onProgress = p => cache.put(sidebarProgressKey_(runId), JSON.stringify(p), 600);
+  if (report.runJob) return runSidebarJob_(report, cfg, onProgress);
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10 * 1000)) return sidebarBusy_('Another report run is in progress.', 'Try again in a few minutes.');
+  try {
+    const jobs = jobsWritingSheet_(report.spec.sheetName);
+    if (jobs.length > 0) {
+      return sidebarBusy_('Job ' + jobs.join(', ') + ' is still writing ' + report.spec.sheetName + '.',
+        'Wait until it has finished (see Run_Log).');
+    }
+    const result = runGmvMaxReport_(report.spec, [cfg], report.prepareRow, {
+      configChecked: true,
+      locked: true,
+      source: 'sidebar',
+      onProgress: onProgress
+    });
+    return {
+      ok: true,
+      rows: result.rows.length,
+      failures: result.failures.map(f => f.message),
+      paused: false,
+      sheets: reportOutputSheets_(report.spec, result.failures.length > 0)
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// A job-backed report runs as a fresh job for the sidebar's row; one already in progress is left alone.
+function runSidebarJob_(report, cfg, onProgress) {
+  if (loadJobCursor_(report.job)) {
+    return sidebarBusy_('A backfill of this report is already in progress and resumes by trigger.',
+      'Wait until it has finished (see Run_Log), or abandon it with ' + report.resetJob + '.');
+  }
+  const result = report.runJob(null, { source: 'sidebar', configRows: () => [cfg], configChecked: true, onProgress: onProgress });
+  if (result.status === 'busy') return sidebarBusy_('Another execution of this backfill is running.', 'Try again in a few minutes.');
+
+  const cursor = result.cursor;
+  const paused = result.status === 'paused';
+  if (paused) onProgress({ paused: true, rows_fetched: cursor.rows_written });
+  return {
+    ok: true,
+    rows: cursor.rows_written,
+    failures: (cursor.gaps || []).map(g => g.window + ': ' + g.message),
+    paused: paused,
+    sheets: reportOutputSheets_(report.spec, result.run_status === 'PARTIAL')
+  };
+}
+
+function sidebarBusy_(problem, fix) {
+  return { ok: false, problems: [{ problem: problem, fix: fix }] };
+}
+
+/** Latest progress of a sidebar run, or null before its first page. */
+function getGmvMaxRunProgress(runId) {
+  const raw = CacheService.getUserCache().get(sidebarProgressKey_(runId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+function sidebarProgressKey_(runId) {
+  return 'gmvmax_progress_' + runId;
+}
+
+// Sidebar form -> the same row object readConfigRows_ produces, so validation and runs match.
+function sidebarConfig_(form) {
+  const asMap = {};
+  ['advertiser_id', 'store_id', 'start_date', 'end_date', 'timezone', 'page_size', 'write_mode',
+    'campaign_ids', 'item_group_ids', 'creative_delivery_statuses'].forEach(f => asMap[f] = String(form[f] || '').trim());
+  asMap.enable_total_metrics = form.enable_total_metrics ? 'TRUE' : 'FALSE';
+
+  const cfg = parseConfigRow_(asMap, asMap.advertiser_id, 0);
+  cfg.raw = asMap;
+  cfg.cells = {};
+  Object.keys(asMap).forEach(f => cfg.cells[f] = 'Sidebar: ' + f);
+  return cfg;
+}
+
+// Links to the sheets a run writes (data, totals, rollups, and the error and gap logs if anything failed).
+function reportOutputSheets_(spec, withErrors) {
+  const ss = SpreadsheetApp.getActive();
+  const names = [spec.sheetName, spec.totalsSheetName]
+    .concat((spec.rollups || []).map(r => r.sheetName))
+    .concat(spec.campaignDimension ? [CAMPAIGN_DIMENSION_SHEET] : [])
+    .concat(withErrors ? ['GMVMax_Errors', DATA_GAPS_SHEET] : []);
+  return names
+    .map(name => name && ss.getSheetByName(name))
+    .filter(Boolean)
+    .map(sh => ({ name: sh.getName(), url: ss.getUrl() + '#gid=' + sh.getSheetId() }));
+}
@@ -0,0 +1,104 @@
+/**
+ * GMV Max – metric selection
+ *
+ * Metrics sheet: headers in row 1, one row per report:
+ *   report    – report id from gmvMaxReports_() (product_campaign_daily, live_campaign_hourly, ...)
+ *   metrics   – comma-separated API metric names, in column order; blank = the report's defaults
+ *   available – what the report can request (written by setUpMetricsSheet, for reference)
+ *
+ * The selection is checked against the catalog in gmvMaxMetrics.js (promotion type, report
+ * level, single-ID attributes) together with the Config sheet, so problems show up in
+ * Config_Errors before any API call. The report's metric columns are generated from it (see
+ * reportColumns_). Changing the selection changes the data sheet's columns: a replace run
+ * rewrites the sheet, while an upsert run needs the sheet renamed or deleted first.
+ */
+const METRICS_SHEET = 'Metrics';
+const METRICS_SHEET_HEADERS = ['report', 'metrics', 'available'];
+
+/** Write one row per report (keeping choices already made) with the metrics each one can use. */
+function setUpMetricsSheet() {
+  const choices = readMetricChoices_();
+  const rows = gmvMaxReports_().map(r => {
+    const choice = choices.filter(c => c.report === r.id)[0];
+    return {
+      report: r.id,
+      metrics: choice && choice.metrics.length ? choice.metrics.join(', ') : r.spec.metrics.join(', '),
+      available: availableMetrics_(r.spec).join(', ')
+    };
+  });
+  writeRowsToSheet_(METRICS_SHEET, rows, METRICS_SHEET_HEADERS);
+}
+
+/** Non-empty rows of the Metrics sheet as [{ report, metrics: [...], row, cells: { report, metrics } }]. */
+function readMetricChoices_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(METRICS_SHEET);
+  if (!sh || sh.getLastRow() < 2) return [];
+  const values = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getDisplayValues();
+  const headers = values[0].map(h => String(h).trim());
+  const reportCol = headers.indexOf('report');
+  const metricsCol = headers.indexOf('metrics');
+  if (reportCol === -1 || metricsCol === -1) {
+    throw new Error('The ' + METRICS_SHEET + ' sheet needs "report" and "metrics" headers in row 1 (run setUpMetricsSheet).');
+  }
+  const out = [];
+  values.slice(1).forEach((row, i) => {
+    const report = String(row[reportCol] || '').trim();
+    if (!report) return;
+    out.push({
+      report: report,
+      metrics: splitCsv_(row[metricsCol]),
+      row: i + 2,
+      cells: {
+        report: METRICS_SHEET + '!' + columnLetter_(reportCol + 1) + (i + 2),
+        metrics: METRICS_SHEET + '!' + columnLetter_(metricsCol + 1) + (i + 2)
+      }
+    });
+  });
+  return out;
+}
+
+// Registry id of a spec (matched by name, so copies from reportSpecWithMetrics_ work too)
+function reportIdOf_(spec) {
+  const report = gmvMaxReports_().filter(r => r.spec.name === spec.name)[0];
+  return report ? report.id : '';
+}
+
+/** The metrics this report should request: its Metrics sheet row, else spec.metrics. */
+function selectedReportMetrics_(spec) {
+  const choice = readMetricChoices_().filter(c => c.report === reportIdOf_(spec))[0];
+  return choice && choice.metrics.length ? choice.metrics : spec.metrics;
+}
+
+/** A copy of the spec requesting `metrics` (its columns follow, see reportColumns_). */
+function reportSpecWithMetrics_(spec, metrics) {
+  return metrics ? Object.assign({}, spec, { metrics: metrics }) : spec;
+}
+
+/**
+ * Problems with the Metrics sheet for this report, in the Config_Errors format
+ * (see validateConfigRows_): unknown report ids, a report listed twice, and metrics the
+ * catalog does not allow for this report.
+ */
+function metricSelectionProblems_(spec) {
+  const out = [];
+  const add = (cell, value, problem, fix) =>
+    out.push({ report: spec.name, config_row: '', cell, field: 'metrics', value, problem, fix });
+
+  const ids = gmvMaxReports_().map(r => r.id);
+  const choices = readMetricChoices_();
+  choices.filter(c => ids.indexOf(c.report) === -1).forEach(c => add(c.cells.report, c.report,
+    'Unknown report "' + c.report + '".', 'Use one of ' + ids.join(', ') + ', or run setUpMetricsSheet.'));
+
+  const mine = choices.filter(c => c.report === reportIdOf_(spec));
+  mine.slice(1).forEach(c => add(c.cells.report, c.report,
+    c.report + ' is listed more than once.', 'Keep one row per report.'));
+
+  const cell = mine.length && mine[0].metrics.length ? mine[0].cells.metrics : 'spec.metrics';
+  const metrics = selectedReportMetrics_(spec);
+  metrics.forEach((m, i) => {
+    if (metrics.indexOf(m) !== i) return add(cell, m, m + ' is listed twice.', 'Remove the duplicate.');
+    const p = metricAvailabilityProblem_(spec, m);
+    if (p) add(cell, m, p.problem, p.fix);
+  });
+  return out;
+}
@@ -0,0 +1,278 @@
+/**
+ * GMV Max – metric catalog, totals and rollups
+ *
+ * Every metric is one of:
+ *   additive  – summed across rows, windows and Config rows (cost, orders, live_views, ...)
+ *   ratio     – numerator / denominator of two additive metrics; recomputed from the summed
+ *               bases, never summed itself (roi, cost_per_order, cost_per_live_view, ...)
+ *   rate      – percentage the API computes from bases the report does not return
+ *               (ad_click_rate, video view rates); cannot be combined, so left blank
+ *   attribute – descriptive value (names, statuses, budgets, bids); never summed
+ * Metrics not in the catalog are treated as attributes.
+ *
+ * Where a metric can be requested:
+ *   promotions – GMV Max promotion types (default both PRODUCT and LIVE)
+ *   levels     – report levels, from the finest ID dimension: campaign (campaign_id),
+ *                product (item_group_id), creative (item_id) (default all)
+ *   singleId   – attributes that need a report with exactly one ID dimension
+ *   column     – output header when it differs from the metric name
+ *   scale      – ratios only: multiplier that puts the recomputed value in the API's units
+ *                (100 for percentages, which the API reports as "2.15" for 2.15%)
+ * Reports choose their metrics in the Metrics sheet (gmvMaxMetricSelection.js), checked here.
+ */
+const GMVMAX_METRICS = {
+  // Campaign attributes
+  campaign_id: { type: 'attribute', levels: ['campaign'], singleId: true },
+  operation_status: { type: 'attribute', levels: ['campaign'], singleId: true },
+  campaign_name: { type: 'attribute', levels: ['campaign'], singleId: true },
+  schedule_type: { type: 'attribute', levels: ['campaign'], singleId: true },
+  schedule_start_time: { type: 'attribute', levels: ['campaign'], singleId: true },
+  schedule_end_time: { type: 'attribute', levels: ['campaign'], singleId: true },
+  target_roi_budget: { type: 'attribute', levels: ['campaign'], singleId: true },
+  bid_type: { type: 'attribute', levels: ['campaign', 'product'], singleId: true },
+  max_delivery_budget: { type: 'attribute', levels: ['campaign'], singleId: true },
+  roas_bid: { type: 'attribute', levels: ['campaign'], singleId: true },
+  tt_account_name: { type: 'attribute', promotions: ['LIVE'], levels: ['campaign'], singleId: true },
+  tt_account_profile_image_url: { type: 'attribute', promotions: ['LIVE'], levels: ['campaign'], singleId: true },
+  identity_id: { type: 'attribute', promotions: ['LIVE'], levels: ['campaign'], singleId: true },
+
+  // Product and creative attributes
+  product_name: { type: 'attribute', promotions: ['PRODUCT'], levels: ['product'], singleId: true },
+  product_image_url: { type: 'attribute', promotions: ['PRODUCT'], levels: ['product'], singleId: true },
+  product_status: { type: 'attribute', promotions: ['PRODUCT'], levels: ['product'], singleId: true },
+  creative_delivery_status: { type: 'attribute', promotions: ['PRODUCT'], levels: ['creative'] },
+
+  // Performance
+  cost: { type: 'additive' },
+  net_cost: { type: 'additive', levels: ['campaign'] },
+  orders: { type: 'additive' },
+  gross_revenue: { type: 'additive' },
+  cost_per_order: { type: 'ratio', numerator: 'cost', denominator: 'orders' },
+  roi: { type: 'ratio', numerator: 'gross_revenue', denominator: 'cost' },
+
+  // LIVE engagement
+  live_views: { type: 'additive', promotions: ['LIVE'], levels: ['campaign'] },
+  '10_second_live_views': { type: 'additive', promotions: ['LIVE'], levels: ['campaign'], column: 'live_10s_views' },
+  live_follows: { type: 'additive', promotions: ['LIVE'], levels: ['campaign'] },
+  cost_per_live_view: { type: 'ratio', numerator: 'cost', denominator: 'live_views', promotions: ['LIVE'], levels: ['campaign'] },
+  cost_per_10_second_live_view: {
+    type: 'ratio', numerator: 'cost', denominator: '10_second_live_views', promotions: ['LIVE'], levels: ['campaign'],
+    column: 'cost_per_10s_live_view'
+  },
+
+  // Product / creative funnel
+  product_impressions: { type: 'additive', promotions: ['PRODUCT'] },
+  product_clicks: { type: 'additive', promotions: ['PRODUCT'] },
+  product_click_rate: {
+    type: 'ratio', numerator: 'product_clicks', denominator: 'product_impressions', scale: 100, promotions: ['PRODUCT']
+  },
+  ad_click_rate: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_conversion_rate: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_2s: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_6s: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_p25: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_p50: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_p75: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] },
+  ad_video_view_rate_p100: { type: 'rate', promotions: ['PRODUCT'], levels: ['creative'] }
+};
+
+const GMVMAX_ID_DIMENSIONS = ['campaign_id', 'item_group_id', 'item_id'];
+
+function metricType_(name) {
+  const m = GMVMAX_METRICS[name];
+  return m ? m.type : 'attribute';
+}
+
+// campaign | product | creative, from the finest ID dimension of the report
+function reportLevel_(spec) {
+  if (spec.dimensions.indexOf('item_id') !== -1) return 'creative';
+  if (spec.dimensions.indexOf('item_group_id') !== -1) return 'product';
+  return 'campaign';
+}
+
+/**
+ * Why `name` can't be requested by this report, as { problem, fix }, or null if it can.
+ * spec.promotionType: PRODUCT | LIVE.
+ */
+function metricAvailabilityProblem_(spec, name) {
+  const def = GMVMAX_METRICS[name];
+  const otherFix = 'Remove it; the available column of the Metrics sheet lists what this report can request.';
+  if (!def) {
+    return { problem: name + ' is not in the metric catalog.', fix: 'Check the spelling against the available column of the Metrics sheet.' };
+  }
+  if (def.promotions && def.promotions.indexOf(spec.promotionType) === -1) {
+    return { problem: name + ' is only available in ' + def.promotions.join(' / ') + ' GMV Max reports.', fix: otherFix };
+  }
+  if (def.levels && def.levels.indexOf(reportLevel_(spec)) === -1) {
+    return {
+      problem: name + ' is only available at ' + def.levels.join(' / ') + ' level (this report is ' + reportLevel_(spec) + ' level).',
+      fix: otherFix
+    };
+  }
+  const idDimensions = spec.dimensions.filter(d => GMVMAX_ID_DIMENSIONS.indexOf(d) !== -1);
+  if (def.singleId && idDimensions.length !== 1) {
+    return {
+      problem: 'To include ' + name + ' and other attributes, the report needs exactly ONE ID dimension (found ' +
+        idDimensions.join(', ') + ').',
+      fix: 'Remove the attributes and keep performance metrics only, or use a single-ID report (e.g. ' +
+        'product_product_daily with one campaign per Config row).'
+    };
+  }
+  return null;
+}
+
+/** Catalog metrics this report can request, in catalog order. */
+function availableMetrics_(spec) {
+  return Object.keys(GMVMAX_METRICS).filter(m => !metricAvailabilityProblem_(spec, m));
+}
+
+// A metric as an output column: renamed per the catalog's `column`, else its own name
+function metricColumn_(name) {
+  const def = GMVMAX_METRICS[name];
+  return def && def.column ? { name: def.column, metric: name } : name;
+}
+
+/* ===================== Totals ===================== */
+
+/**
+ * Merge one total_metrics object into a running total (strings/numbers ok).
+ * Additive metrics are summed; everything else keeps its first value until finalizeTotals_.
+ */
+function combineTotals_(agg, add) {
+  const out = Object.assign({}, agg);
+  Object.keys(add || {}).forEach(k => {
+    const v = num_(add[k]);
+    if (metricType_(k) === 'additive' && isFinite(v)) {
+      out[k] = (num_(out[k]) || 0) + v;
+    } else if (!(k in out)) {
+      out[k] = add[k]; // e.g. currency, or a ratio recomputed below
+    }
+  });
+  return out;
+}
+
+/**
+ * Finish a running total built from `parts` total_metrics objects. A single part is the API's
+ * own totals and is returned unchanged; for more, ratios are recomputed from their summed
+ * bases (blank if a base is missing or zero) and rates are blanked.
+ */
+function finalizeTotals_(agg, parts) {
+  if (!agg || parts <= 1) return agg;
+  const out = Object.assign({}, agg);
+  Object.keys(out).forEach(k => {
+    const type = metricType_(k);
+    if (type === 'ratio') {
+      out[k] = ratioOf_(out, GMVMAX_METRICS[k]);
+    } else if (type === 'rate') {
+      out[k] = '';
+    }
+  });
+  return out;
+}
+
+// Used by totals and rollups alike, so both come out in the same units as the API's own values
+function ratioOf_(values, def) {
+  const n = num_(values[def.numerator]);
+  const d = num_(values[def.denominator]);
+  return isFinite(n) && isFinite(d) && d !== 0 ? n / d * (def.scale || 1) : '';
+}
+
+/* ===================== Rollups ===================== */
+
+/**
+ * Re-aggregate a report's data sheet by other keys, e.g. per campaign, per week or per store.
+ * Declared on the spec:
+ *   rollups: [{ sheetName: 'GMVMax_..._Weekly', groupBy: ['campaign_id', 'week'], attributes: ['campaign_name'] }]
+ * groupBy takes column names plus 'week' (Monday of stat_time_day). Additive columns are summed,
+ * ratio columns recomputed from the summed bases in the API's units (ratioOf_, so a percentage
+ * such as product_click_rate gets its percent format like the data sheet), rates left out;
+ * listed attributes are kept
+ * when they are the same on every row of the group, otherwise blank.
+ *
+ * Rollups read the whole data sheet, so they also cover history kept by upsert runs. Attributes
+ * kept in GMVMax_Campaigns (spec.campaignDimension) come from each campaign's current version.
+ */
+function writeReportRollups_(spec) {
+  if (!spec.rollups || spec.rollups.length === 0) return;
+  const rows = withCurrentCampaignAttributes_(spec, readSheetRows_(spec.sheetName));
+  spec.rollups.forEach(rollup => {
+    const out = rollupRows_(spec, rows, rollup.groupBy, rollup.attributes || []);
+    writeRowsToSheet_(rollup.sheetName, out.rows, out.headers);
+  });
+}
+
+function rollupRows_(spec, rows, groupBy, attributes) {
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+
+  // Column name <-> API metric name (LIVE columns are renamed, e.g. live_10s_views)
+  const metricOfColumn = {};
+  const columnOfMetric = {};
+  reportColumns_(spec).forEach(col => {
+    const metric = typeof col === 'string' ? col : col.metric;
+    if (!metric) return;
+    metricOfColumn[columnName_(col)] = metric;
+    columnOfMetric[metric] = columnName_(col);
+  });
+
+  const additiveCols = Object.keys(metricOfColumn).filter(c => metricType_(metricOfColumn[c]) === 'additive');
+  const ratioCols = Object.keys(metricOfColumn).filter(c => {
+    const def = GMVMAX_METRICS[metricOfColumn[c]];
+    return def && def.type === 'ratio' && columnOfMetric[def.numerator] && columnOfMetric[def.denominator];
+  });
+  const valueCols = reportHeaders_(spec).filter(h => additiveCols.indexOf(h) !== -1 || ratioCols.indexOf(h) !== -1);
+
+  const groups = {};
+  const order = [];
+  rows.forEach(r => {
+    const keyValues = groupBy.map(g => rollupKeyValue_(r, g, tz));
+    const key = keyValues.join('|');
+    if (!groups[key]) {
+      groups[key] = { keyValues, sums: {}, attrs: {}, rows: 0 };
+      order.push(key);
+    }
+    const grp = groups[key];
+    grp.rows++;
+    additiveCols.forEach(c => {
+      const v = num_(r[c]);
+      if (isFinite(v)) grp.sums[c] = (grp.sums[c] || 0) + v;
+    });
+    attributes.forEach(a => {
+      const v = String(r[a] ?? '');
+      if (!(a in grp.attrs)) grp.attrs[a] = v;
+      else if (grp.attrs[a] !== v) grp.attrs[a] = '';
+    });
+  });
+
+  const out = order.map(key => {
+    const grp = groups[key];
+    const row = {};
+    groupBy.forEach((g, i) => row[g] = grp.keyValues[i]);
+    attributes.forEach(a => row[a] = grp.attrs[a]);
+    row.row_count = grp.rows;
+    additiveCols.forEach(c => row[c] = grp.sums[c] ?? '');
+    ratioCols.forEach(c => {
+      const def = GMVMAX_METRICS[metricOfColumn[c]];
+      row[c] = ratioOf_({
+        [def.numerator]: grp.sums[columnOfMetric[def.numerator]],
+        [def.denominator]: grp.sums[columnOfMetric[def.denominator]]
+      }, def);
+    });
+    return row;
+  });
+
+  return { headers: groupBy.concat(attributes, ['row_count'], valueCols), rows: out };
+}
+
+function rollupKeyValue_(row, key, tz) {
+  if (key === 'week') return weekStartOf_(row.stat_time_day, tz);
+  return normalizeKeyValue_(row[key], tz);
+}
+
+// Monday (yyyy-MM-dd) of the week containing a stat_time_day value (string or sheet Date)
+function weekStartOf_(value, tz) {
+  const day = (value instanceof Date ? Utilities.formatDate(value, tz, 'yyyy-MM-dd') : String(value || '')).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return '';
+  const d = new Date(day + 'T00:00:00Z');
+  const sinceMonday = (d.getUTCDay() + 6) % 7;
+  return Utilities.formatDate(new Date(d.getTime() - sinceMonday * 24 * 60 * 60 * 1000), 'UTC', 'yyyy-MM-dd');
+}
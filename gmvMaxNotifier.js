@@ -0,0 +1,180 @@
+/**
+ * GMV Max – chat run summaries
+ *
+ * Optional: after every run (not a paused job execution) a short summary is posted to each chat
+ * webhook in the GMVMAX_CHAT_WEBHOOKS Script Property, a JSON array such as
+ *   [{ "type": "slack",    "url": "https://hooks.slack.com/services/…" },
+ *    { "type": "lark",     "url": "https://open.larksuite.com/open-apis/bot/v2/hook/…", "on": "problems" },
+ *    { "type": "telegram", "url": "https://api.telegram.org/bot<bot token>/sendMessage", "chat_id": "-100…" },
+ *    { "type": "discord",  "url": "https://discord.com/api/webhooks/…", "reports": ["live_campaign_daily"] }]
+ *   on       – "always" (default) or "problems" (PARTIAL and FAILED runs only)
+ *   reports  – report ids to post about (default all)
+ *   template – JSON payload overriding the type's default, with {{text}}, {{title}}, {{report}},
+ *              {{status}} and {{chat_id}} placeholders (inserted JSON-escaped)
+ *
+ * The summary holds the status, rows written, failures, totals (cost, gross_revenue, roi,
+ * orders) and the best and worst campaigns by ROI. Webhook URLs stay in Script Properties: they
+ * carry their own secrets (a Telegram bot token, say) and are never logged – errors keep only the
+ * HTTP code or a message with URLs cut to their host; token and secret values from Script
+ * Properties are scrubbed from the text. Posting never fails the run.
+ */
+const CHAT_WEBHOOKS_PROPERTY = 'GMVMAX_CHAT_WEBHOOKS';
+const CHAT_WEBHOOK_TEMPLATES = {
+  slack: '{"text": "{{text}}"}',
+  discord: '{"content": "{{text}}"}',
+  lark: '{"msg_type": "text", "content": {"text": "{{text}}"}}',
+  telegram: '{"chat_id": "{{chat_id}}", "text": "{{text}}", "disable_web_page_preview": true}'
+};
+const CHAT_TEXT_LIMITS = { slack: 3500, discord: 2000, lark: 3500, telegram: 4000 }; // characters
+const CHAT_SUMMARY_CAMPAIGNS = 3; // best / worst campaigns listed
+
+/** Post the finished run to every configured webhook that wants it (called by finishRunLog_). */
+function notifyRunSummary_(run, status, err) {
+  try {
+    postRunSummary_(run, status, err);
+  } catch (e) {
+    console.warn('Chat summary not sent: ' + scrubSecrets_(String(e && e.message || e)));
+  }
+}
+
+function postRunSummary_(run, status, err) {
+  const hooks = loadChatWebhooks_();
+  const report = gmvMaxReports_().filter(r => r.spec.name === run.report)[0];
+  const wanted = hooks.filter(h =>
+    (!h.reports || (report && h.reports.indexOf(report.id) !== -1)) &&
+    (h.on !== 'problems' || status !== 'OK'));
+  if (wanted.length === 0) return;
+
+  const title = 'GMV Max – ' + run.report + ': ' + status;
+  const text = scrubSecrets_(title + '\n' + runSummaryLines_(run, err).join('\n'));
+  wanted.forEach(hook => {
+    try {
+      postChatWebhook_(hook, { text, title, report: run.report, status });
+    } catch (e) {
+      console.warn('Chat summary to webhook #' + (hooks.indexOf(hook) + 1) + ' (' + hook.type + ') failed: ' +
+        scrubWebhookUrls_(scrubSecrets_(String(e && e.message || e)), hook.url));
+    }
+  });
+}
+
+function loadChatWebhooks_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(CHAT_WEBHOOKS_PROPERTY);
+  const hooks = raw ? JSON.parse(raw) : [];
+  return (Array.isArray(hooks) ? hooks : [hooks]).filter(h => h && h.url && (h.template || CHAT_WEBHOOK_TEMPLATES[h.type]));
+}
+
+function runSummaryLines_(run, err) {
+  const results = run.results || { rows: [], totals: null };
+  const lines = [
+    'Run ' + run.run_id + ' · ' + run.source + ' · ' +
+      Math.round((new Date().getTime() - run.started.getTime()) / 1000) + 's',
+    'Rows written: ' + formatChatNumber_(run.rows_written, 0) + ' · windows: ' + run.windows +
+      ' · failures: ' + run.failures
+  ];
+
+  const t = summaryTotals_(results.rows, results.totals);
+  if (t) {
+    lines.push('Cost ' + formatChatNumber_(t.cost, 2) + ' · Gross revenue ' + formatChatNumber_(t.gross_revenue, 2) +
+      ' · ROI ' + formatChatNumber_(t.roi, 2) + ' · Orders ' + formatChatNumber_(t.orders, 0));
+  }
+
+  const ranked = rankCampaignsByRoi_(results.rows);
+  const line = c => '  ' + c.label + ' – ROI ' + formatChatNumber_(c.roi, 2) + ', cost ' + formatChatNumber_(c.cost, 2);
+  if (ranked.length > 0) {
+    const top = ranked.slice(0, CHAT_SUMMARY_CAMPAIGNS);
+    const bottom = ranked.slice(CHAT_SUMMARY_CAMPAIGNS).slice(-CHAT_SUMMARY_CAMPAIGNS).reverse();
+    lines.push('Top campaigns by ROI:');
+    top.forEach(c => lines.push(line(c)));
+    if (bottom.length > 0) {
+      lines.push('Bottom campaigns by ROI:');
+      bottom.forEach(c => lines.push(line(c)));
+    }
+  }
+
+  if (err) lines.push('Error: ' + String(err && err.message || err));
+  else if (run.failures > 0) lines.push('See GMVMax_Errors for the ' + run.failures + ' failed request(s).');
+  return lines;
+}
+
+// The API's totals when the run has them, else sums of the rows; null when there is no cost column.
+function summaryTotals_(rows, totals) {
+  const source = totals && 'cost' in totals ? [totals] : rows || [];
+  if (source.length === 0 || !('cost' in source[0])) return null;
+  const sum = k => source.reduce((acc, r) => acc + (isFinite(num_(r[k])) ? num_(r[k]) : 0), 0);
+  const out = { cost: sum('cost'), gross_revenue: sum('gross_revenue'), orders: sum('orders') };
+  out.roi = out.cost > 0 ? out.gross_revenue / out.cost : '';
+  return out;
+}
+
+/** Campaigns with spend, best ROI first: [{ label, cost, roi }]. */
+function rankCampaignsByRoi_(rows) {
+  if (!rows || rows.length === 0 || !('campaign_id' in rows[0]) || !('gross_revenue' in rows[0])) return [];
+  const byId = {};
+  rows.forEach(r => {
+    const id = String(r.campaign_id);
+    const c = byId[id] = byId[id] || { id, name: '', cost: 0, revenue: 0 };
+    if (r.campaign_name) c.name = String(r.campaign_name);
+    c.cost += isFinite(num_(r.cost)) ? num_(r.cost) : 0;
+    c.revenue += isFinite(num_(r.gross_revenue)) ? num_(r.gross_revenue) : 0;
+  });
+  const names = currentCampaignNames_();
+  return Object.keys(byId).map(id => byId[id])
+    .filter(c => c.cost > 0)
+    .map(c => ({ label: (c.name || names[c.id] || 'campaign') + ' (' + c.id + ')', cost: c.cost, roi: c.revenue / c.cost }))
+    .sort((a, b) => b.roi - a.roi);
+}
+
+function postChatWebhook_(hook, values) {
+  const limit = CHAT_TEXT_LIMITS[hook.type] || 3500;
+  const fields = Object.assign({}, values, {
+    text: values.text.length > limit ? values.text.slice(0, limit - 1) + '…' : values.text,
+    chat_id: hook.chat_id || ''
+  });
+  const template = hook.template
+    ? (typeof hook.template === 'string' ? hook.template : JSON.stringify(hook.template))
+    : CHAT_WEBHOOK_TEMPLATES[hook.type];
+  const payload = template.replace(/\{\{(\w+)\}\}/g, (m, k) => JSON.stringify(String(fields[k] ?? '')).slice(1, -1));
+  JSON.parse(payload); // a broken custom template fails here, not at the chat service
+
+  let res;
+  try {
+    res = UrlFetchApp.fetch(hook.url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: payload,
+      muteHttpExceptions: true
+    });
+  } catch (e) {
+    // DNS / invalid URL errors quote the URL, which may hold a token
+    throw new Error('request failed: ' + scrubWebhookUrls_(String(e && e.message || e), hook.url));
+  }
+  const code = res.getResponseCode();
+  if (code < 200 || code >= 300) throw new Error('HTTP ' + code); // the code only, not the response
+}
+
+// Webhook URLs carry their secret in the path (Telegram's bot<token>, Slack's and Discord's
+// hook ids), so the URL is dropped and any other URL is cut down to its host.
+function scrubWebhookUrls_(text, url) {
+  const out = url ? String(text).split(url).join('[webhook url]') : String(text);
+  return out
+    .replace(/(https?:\/\/[^\/\s"'<>]+)[^\s"'<>]*/g, '$1/…')
+    .replace(/\bbot\d+:[\w-]+/g, 'bot[redacted]'); // a Telegram bot token quoted without its URL
+}
+
+// Replace the values of token/secret Script Properties wherever they appear in the text
+function scrubSecrets_(text) {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  let out = String(text);
+  Object.keys(props).forEach(k => {
+    const v = props[k];
+    if (redactSecrets_(k, v) !== v && v && v.length >= 8) out = out.split(v).join('[redacted]');
+  });
+  return out;
+}
+
+function formatChatNumber_(n, decimals) {
+  if (n === '' || n === null || n === undefined || !isFinite(n)) return '–';
+  const parts = Number(n).toFixed(decimals).split('.');
+  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return parts.join('.');
+}
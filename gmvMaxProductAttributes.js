@@ -0,0 +1,65 @@
+/**
+ * GMV Max – product attribute lookup
+ *
+ * Product attributes (name, image, status) describe an item group, not a day, so the product
+ * daily report requests performance only and fills them in afterwards (spec.lookupMetrics +
+ * spec.enrichRows). The attributes come from the product-level report with item_group_id as its
+ * single ID dimension, over the same window as the rows, and are cached for six hours per
+ * advertiser/store/item group, so a store-wide run asks for each product once, not once per window.
+ */
+const PRODUCT_ATTRIBUTE_METRICS = ['product_name', 'product_image_url', 'product_status'];
+const PRODUCT_ATTRIBUTE_REPORT = {
+  name: 'Product attribute lookup',
+  promotionType: 'PRODUCT',
+  dimensions: ['item_group_id'],
+  metrics: PRODUCT_ATTRIBUTE_METRICS,
+  filtering: cfg => ({ campaign_ids: [cfg.campaign_id] }),
+  columns: ['item_group_id'].concat(PRODUCT_ATTRIBUTE_METRICS)
+};
+const PRODUCT_ATTRIBUTE_CACHE_SECONDS = 6 * 60 * 60; // CacheService maximum
+
+/** enrichRows hook: fill the selected lookup metrics of rows fetched for request.campaign_id. */
+function fillProductAttributes_(spec, rows, request, retryBudget) {
+  const wanted = spec.metrics.filter(m => (spec.lookupMetrics || []).indexOf(m) !== -1);
+  if (wanted.length === 0 || rows.length === 0) return;
+  const ids = [];
+  rows.forEach(r => {
+    const id = String(r.item_group_id);
+    if (ids.indexOf(id) === -1) ids.push(id);
+  });
+  const attributes = productAttributes_(request, request.campaign_id, ids, retryBudget);
+  rows.forEach(r => {
+    const found = attributes[String(r.item_group_id)] || {};
+    wanted.forEach(m => r[columnName_(metricColumn_(m))] = found[m] ?? '');
+  });
+}
+
+/**
+ * { item_group_id: { product_name, product_image_url, product_status } } for the given item
+ * groups of one campaign; cache misses are looked up over cfg's date range (one ≤30-day window),
+ * retrying out of the run's retryBudget.
+ */
+function productAttributes_(cfg, campaignId, itemGroupIds, retryBudget) {
+  const cache = CacheService.getScriptCache();
+  const keyOf = id => ['gmvmax_product', cfg.advertiser_id, cfg.store_id, id].join('_');
+  const cached = cache.getAll(itemGroupIds.map(keyOf));
+  const out = {};
+  const missing = [];
+  itemGroupIds.forEach(id => {
+    if (cached[keyOf(id)]) out[id] = JSON.parse(cached[keyOf(id)]);
+    else missing.push(id);
+  });
+  if (missing.length === 0) return out;
+
+  const request = Object.assign({}, cfg, { campaign_id: campaignId, enable_total_metrics: false });
+  const toCache = {};
+  fetchGmvMaxReport_(PRODUCT_ATTRIBUTE_REPORT, request, getAccessToken_(), retryBudget).rows.forEach(r => {
+    const id = String(r.item_group_id);
+    if (missing.indexOf(id) === -1 || out[id]) return;
+    out[id] = {};
+    PRODUCT_ATTRIBUTE_METRICS.forEach(m => out[id][m] = r[m]);
+    toCache[keyOf(id)] = JSON.stringify(out[id]);
+  });
+  cache.putAll(toCache, PRODUCT_ATTRIBUTE_CACHE_SECONDS);
+  return out;
+}
@@ -0,0 +1,115 @@
+/**
+ * GMV Max – publishing report output
+ *
+ * A full (replace) refresh is written to a hidden staging sheet ("<sheetName>_staging") and only
+ * copied over the data sheet once the run is done, so a run that dies halfway never leaves a
+ * half-empty data sheet. The copy goes into the existing sheet, so formulas and pivot tables that
+ * point at it keep working.
+ *
+ * When some windows or Config rows fail, spec.onFailure decides what happens:
+ *   'abort'           – (default) nothing is published; the previous data stays and the run fails
+ *   'publish_partial' – the rows that were fetched are published, and every missing
+ *                       advertiser/store/window is listed in GMVMax_Data_Gaps and noted on the
+ *                       report's sheets (the note is cleared by the next complete run)
+ */
+const REPORT_FAILURE_POLICIES = ['abort', 'publish_partial'];
+const DATA_GAPS_SHEET = 'GMVMax_Data_Gaps';
+const DATA_GAPS_HEADERS = ['report', 'sheet', 'run_id', 'config_row', 'advertiser_id', 'store_id', 'window', 'message'];
+
+function reportFailurePolicy_(spec) {
+  const policy = spec.onFailure || 'abort';
+  if (REPORT_FAILURE_POLICIES.indexOf(policy) === -1) {
+    throw new Error(spec.name + ': onFailure must be one of ' + REPORT_FAILURE_POLICIES.join(', ') + '.');
+  }
+  return policy;
+}
+
+/** A missing slice of a report: the failed request (or Config row) and why it failed. */
+function dataGapOf_(request, err) {
+  return {
+    config_row: request.config_row || '',
+    advertiser_id: String(request.advertiser_id || ''),
+    store_id: String(request.store_id || ''),
+    window: request.start_date + '..' + request.end_date,
+    message: String(err && err.message || err).slice(0, 200) // kept short: job cursors carry these too
+  };
+}
+
+/**
+ * Throws (so the previous data is kept) if every one of the `attempted` requests failed, or if
+ * some did and the report's policy is 'abort'.
+ */
+function assertPublishable_(spec, gaps, attempted) {
+  if (gaps.length > 0 && gaps.length === attempted) {
+    throw new Error(spec.name + ': all ' + gaps.length + ' request(s) failed – see GMVMax_Errors. First error: ' +
+      gaps[0].message);
+  }
+  if (gaps.length === 0 || reportFailurePolicy_(spec) === 'publish_partial') return;
+  throw new Error(spec.name + ': ' + gaps.length + ' window(s) failed, so the previous data was kept ' +
+    '(onFailure: abort) – see GMVMax_Errors. First error: ' + gaps[0].message);
+}
+
+function stagingSheetName_(spec) {
+  return spec.sheetName + '_staging';
+}
+
+/** Start an empty, hidden staging sheet for the spec (headers only). */
+function beginStagingSheet_(spec) {
+  writeRowsToSheet_(stagingSheetName_(spec), [], reportHeaders_(spec), reportColumnTypes_(spec));
+  SpreadsheetApp.getActive().getSheetByName(stagingSheetName_(spec)).hideSheet();
+}
+
+function appendStagedRows_(spec, rows) {
+  appendRowsToSheet_(stagingSheetName_(spec), rows, reportHeaders_(spec), reportColumnTypes_(spec));
+}
+
+/**
+ * Move the staged rows into the data sheet: replaced wholesale, or upserted by key (upsert).
+ * The staging sheet is deleted afterwards.
+ */
+function publishStagingSheet_(spec, upsert) {
+  const ss = SpreadsheetApp.getActive();
+  const staging = ss.getSheetByName(stagingSheetName_(spec));
+  if (!staging) throw new Error(spec.name + ': staging sheet "' + stagingSheetName_(spec) + '" is missing.');
+
+  if (upsert) {
+    upsertRowsToSheet_(spec.sheetName, readSheetRows_(stagingSheetName_(spec)), reportHeaders_(spec),
+      reportKeyColumns_(spec), reportColumnTypes_(spec));
+  } else {
+    const sh = ss.getSheetByName(spec.sheetName) || ss.insertSheet(spec.sheetName);
+    sh.clearContents();
+    staging.getDataRange().copyTo(sh.getRange(1, 1)); // values and number formats
+  }
+  ss.deleteSheet(staging);
+}
+
+function discardStagingSheet_(spec) {
+  const ss = SpreadsheetApp.getActive();
+  const staging = ss.getSheetByName(stagingSheetName_(spec));
+  if (staging) ss.deleteSheet(staging);
+}
+
+/**
+ * Replace this report's rows in GMVMax_Data_Gaps with `gaps` and set (or clear, when there are
+ * none) a note on A1 of each of its output sheets.
+ */
+function flagDataGaps_(spec, gaps, run) {
+  const ss = SpreadsheetApp.getActive();
+  const kept = readSheetRows_(DATA_GAPS_SHEET).filter(r => r.report !== spec.name);
+  if (gaps.length > 0 || ss.getSheetByName(DATA_GAPS_SHEET)) {
+    const rows = kept.concat(gaps.map(g => Object.assign({
+      report: spec.name,
+      sheet: spec.sheetName,
+      run_id: run ? run.run_id : ''
+    }, g)));
+    writeRowsToSheet_(DATA_GAPS_SHEET, rows, DATA_GAPS_HEADERS);
+  }
+
+  const note = gaps.length > 0
+    ? 'Partial data: ' + gaps.length + ' window(s) missing from the last refresh – see ' + DATA_GAPS_SHEET + '.'
+    : '';
+  [spec.sheetName, spec.totalsSheetName].concat((spec.rollups || []).map(r => r.sheetName)).forEach(name => {
+    const sh = name && ss.getSheetByName(name);
+    if (sh) sh.getRange(1, 1).setNote(note);
+  });
+}
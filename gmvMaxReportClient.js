@@ -0,0 +1,637 @@
+/**
+ * GMV Max – shared report client
+ * One copy of the gmv_max/report/get pagination loop for every runner.
+ *
+ * A report is a declarative spec:
+ *   {
+ *     name:            'Product GMV Max – Campaign – Daily',
+ *     promotionType:   'PRODUCT',                                // or 'LIVE'
+ *     dimensions:      ['campaign_id', 'stat_time_day'],
+ *     metrics:         ['campaign_id', 'cost', ...],             // default selection, see below
+ *     filtering:       { gmv_max_promotion_types: ['PRODUCT'] }   // or cfg => ({ ... })
+ *     columns:         ['advertiser_id', 'stat_time_day', 'campaign_id', { selectedMetrics: true }, 'timezone'],
+ *     sheetName:       'GMVMax_Product_Campaign_Daily',
+ *     totalsSheetName: 'GMVMax_Product_Campaign_Daily_Totals',
+ *     rollups:         [{ sheetName, groupBy, attributes }]   // optional, see gmvMaxMetrics.js
+ *     onFailure:       'abort' | 'publish_partial'           // optional, see gmvMaxPublish.js
+ *     campaignDimension: true                                 // optional: campaign attributes go to
+ *                                                             //   GMVMax_Campaigns, see gmvMaxCampaignDimension.js
+ *     lookupMetrics:   ['product_name', ...]                   // optional: not requested from the API,
+ *     enrichRows:      (spec, rows, request, retryBudget) => { ... }
+ *                                                             //   filled in per request by enrichRows instead,
+ *                                                             //   whose lookups share the run's retryBudget
+ *     sinks:           [{ type: 'drive', format: 'csv' }]      // optional: outputs besides the data sheet,
+ *                                                             //   see gmvMaxSinks.js
+ *   }
+ *
+ * Column entries are either a field name (looked up in dimensions, then metrics, then the
+ * request context such as advertiser_id/store_id) or { name, metric | dimension | context }
+ * when the output header differs from the API field, or { name, value: (d, m, ctx) => ... }
+ * for a column derived from the raw dimensions/metrics. { selectedMetrics: true } stands for one
+ * column per metric chosen for the report in the Metrics sheet (spec.metrics when none are
+ * chosen), named by the catalog (gmvMaxMetrics.js); see reportColumns_.
+ */
+const GMVMAX_REPORT_ENDPOINT = 'https://business-api.tiktok.com/open_api/v1.3/gmv_max/report/get/';
+const LOADED_PAIRS_SHEET = 'GMVMax_Loaded';
+const LOADED_PAIRS_HEADERS = ['sheet', 'advertiser_id', 'store_id', 'loaded_from'];
+
+/**
+ * Fetch a report for every Config row and write the merged result to the spec's sheets.
+ * cfgs: one object, an array from readConfigRows_() or readConfigRows_ itself – advertiser_id,
+ *       store_id, start_date, end_date, (optional) page_size, enable_total_metrics,
+ *       write_mode ("replace" | "upsert"), lookback_days, config_row
+ * prepareRow(cfg, retryBudget): optional per-row extra fields (e.g. context); throwing fails only
+ *       that row. API lookups it makes (discovery) share the run's retryBudget.
+ *       It may instead return an array of rows to fan one Config row out into several (e.g. one
+ *       per campaign); each is then sliced into windows like a Config row.
+ *
+ * The whole Config is validated first (assertConfigValid_); any problem
+ * is listed in Config_Errors and the run stops before calling the API.
+ *
+ * Each row gets its advertiser's timezone (assignRowTimeZones_); date expressions (today-7,
+ * last_month, since:…) are resolved in it and it is passed to the rows as `timezone`. Ranges are
+ * then sliced per row by buildReportSlices_: stat_time_day reports into ≤30-day
+ * windows, stat_time_hour reports into single days. Slices are fetched one by one and merged.
+ *
+ * Failed rows/windows are logged to GMVMax_Errors and the run carries on with the rest. What is
+ * then written depends on spec.onFailure: 'abort' (default) throws and leaves the sheets as they
+ * were, 'publish_partial' writes the rest and flags the gaps (gmvMaxPublish.js). If every one
+ * fails the run throws either way. A replace run is staged and swapped in at the end.
+ *
+ * In upsert mode a daily/hourly report refetches only the last lookback_days for an
+ * advertiser/store already loaded from its start_date on, and upserts them by
+ * reportKeyColumns_; older rows stay as they are. A pair that is new to the sheet, or whose
+ * start_date moved earlier, gets its full range. How far back each pair was loaded is kept in
+ * the hidden GMVMax_Loaded sheet (a pair may have no rows for its first days).
+ *
+ * Once the data sheet is written the rows also go to spec.sinks (gmvMaxSinks.js); a failed sink
+ * makes the run PARTIAL. Alerts_Rules for the report are then checked (gmvMaxAlerts.js).
+ *
+ * Every call is recorded in Run_Log (gmvMaxRunLog.js). Pass cfgs as a function (e.g.
+ * readConfigRows_ itself) so that a Config that can't be read is logged as a failed run too.
+ *
+ * hooks.onProgress({ request, requests, advertiser_id, store_id, window, page, total_pages,
+ * rows_fetched }) is called after every page (used by the sidebar's progress display).
+ * hooks.configChecked: the caller already ran validateConfigRows_ (skips Config_Errors).
+ * hooks.source: what started the run, for Run_Log (default 'manual').
+ * hooks.locked: the caller holds the script lock and has checked for jobs writing the sheet
+ * (schedules, the sidebar); otherwise the writes take it (withReportWriteLock_).
+ */
+function runGmvMaxReport_(spec, cfgs, prepareRow, hooks) {
+  const opts = hooks || {};
+  const run = startRunLog_(spec, opts.source);
+  try {
+    const result = executeGmvMaxReport_(spec, typeof cfgs === 'function' ? cfgs() : cfgs, prepareRow, opts, run);
+    finishRunLog_(run, result.failures.length > 0 ? 'PARTIAL' : 'OK');
+    return result;
+  } catch (err) {
+    finishRunLog_(run, 'FAILED', err);
+    throw err;
+  }
+}
+
+function executeGmvMaxReport_(spec, cfgs, prepareRow, opts, run) {
+  const rowsCfg = Array.isArray(cfgs) ? cfgs : [cfgs];
+  if (!opts.configChecked) assertConfigValid_(spec, rowsCfg);
+  spec = reportSpecWithMetrics_(spec, selectedReportMetrics_(spec));
+  const accessToken = getAccessToken_();
+  const retryBudget = newRetryBudget_(); // shared by every lookup, Config row and window in this run
+  assignRowTimeZones_(spec, rowsCfg, accessToken, retryBudget);
+  rowsCfg.forEach(cfg => Object.assign(cfg, resolveDateRange_(cfg.start_date, cfg.end_date, cfg.timezone)));
+  run.params = runParamsOf_(rowsCfg);
+  const upsert = rowsCfg[0].write_mode === 'upsert'; // validateConfigRows_ makes every row agree
+  const loaded = upsert && (isDailyReport_(spec) || isHourlyReport_(spec)) ? loadedPairDays_(spec) : null;
+
+  const allRows = [];
+  const failures = [];
+  let attempted = 0;
+  let totalsAgg = {};
+  let totalsCount = 0;
+
+  const requests = [];
+  rowsCfg.forEach(cfg => {
+    try {
+      const prepared = prepareRow ? prepareRow(cfg, retryBudget) : null;
+      (Array.isArray(prepared) ? prepared : [cfg]).forEach(row => {
+        buildReportSlices_(spec, row, pairLoadedFor_(loaded, row)).forEach(request => requests.push(request));
+      });
+    } catch (err) {
+      attempted++;
+      failures.push({ cfg, message: String(err && err.message || err) });
+      logConfigRowError_(spec, cfg, err, run);
+    }
+  });
+  run.windows = requests.length;
+
+  requests.forEach((request, i) => {
+    attempted++;
+    try {
+      const result = fetchGmvMaxReport_(spec, request, accessToken, retryBudget, {
+        onProgress: (page, totalPages, fetched, body) => {
+          recordRunPage_(run, body);
+          if (!opts.onProgress) return;
+          opts.onProgress({
+            request: i + 1,
+            requests: requests.length,
+            advertiser_id: request.advertiser_id,
+            store_id: request.store_id,
+            window: request.start_date + '..' + request.end_date,
+            page: page,
+            total_pages: totalPages,
+            rows_fetched: allRows.length + fetched
+          });
+        }
+      });
+      if (spec.enrichRows) spec.enrichRows(spec, result.rows, request, retryBudget);
+      result.rows.forEach(r => allRows.push(r));
+      if (request.enable_total_metrics === true && result.totalMetrics) {
+        totalsAgg = combineTotals_(totalsAgg, result.totalMetrics);
+        totalsCount++;
+      }
+    } catch (err) {
+      if (err.tokenRejected) throw err; // every later request would fail the same way
+      failures.push({ cfg: request, message: String(err && err.message || err) });
+      logConfigRowError_(spec, request, err, run);
+    }
+  });
+
+  const gaps = failures.map(f => dataGapOf_(f.cfg, f.message));
+  assertPublishable_(spec, gaps, attempted);
+
+  let totals = null;
+  withReportWriteLock_(spec, opts, () => {
+    const alerts = beginReportAlerts_(spec);
+    updateCampaignDimension_(spec, allRows);
+    writeReportRows_(spec, allRows, upsert);
+    if (isDailyReport_(spec) || isHourlyReport_(spec)) {
+      recordLoadedPairs_(spec, rowsCfg.filter(cfg => !pairLoadedFor_(loaded, cfg)), failures.map(f => f.cfg), !upsert);
+    }
+    run.rows_written = allRows.length;
+    const refetched = upsert ? null : rowsCfg.filter(cfg => !failures.some(f => pairKey_(f.cfg) === pairKey_(cfg)))
+      .map(cfg => pick_(cfg, ['advertiser_id', 'store_id', 'start_date', 'end_date']));
+    writeReportSinks_(spec, allRows, run, refetched).forEach(f => failures.push({ cfg: {}, message: f.message }));
+    writeReportRollups_(spec);
+
+    // Totals of a lookback slice would read like totals of the whole sheet, so upsert skips them.
+    if (!upsert && totalsCount > 0 && spec.totalsSheetName) {
+      writeTotalsSheet_(spec.totalsSheetName, finalizeTotals_(totalsAgg, totalsCount));
+    }
+    flagDataGaps_(spec, gaps, run);
+    totals = totalsCount > 0 ? finalizeTotals_(totalsAgg, totalsCount) : null;
+    finishReportAlerts_(alerts, allRows, totals, run);
+  });
+  run.results = { rows: allRows, totals: totals }; // for the chat summary (gmvMaxNotifier.js)
+  return { rows: allRows, totalMetrics: totals, failures };
+}
+
+// Writing and publishing hold the script lock shared with schedules, sidebar runs and jobs, and
+// wait for a job still writing the same sheet; the pages are fetched before it is taken.
+function withReportWriteLock_(spec, opts, write) {
+  if (opts.locked) return write();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(60 * 1000)) {
+    throw new Error('Another report run is in progress; ' + spec.name + ' was not written. Try again in a few minutes.');
+  }
+  try {
+    const jobs = jobsWritingSheet_(spec.sheetName);
+    if (jobs.length > 0) {
+      throw new Error('Job ' + jobs.join(', ') + ' is still writing ' + spec.sheetName + '; ' + spec.name +
+        ' was not written. Try again when it has finished (see Run_Log).');
+    }
+    return write();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function isDailyReport_(spec) {
+  return spec.dimensions.indexOf('stat_time_day') !== -1;
+}
+
+function isHourlyReport_(spec) {
+  return spec.dimensions.indexOf('stat_time_hour') !== -1;
+}
+
+// Fallback timezone for rows whose advertiser timezone is unknown: spec.timeZone, else the script's.
+// (Per-row timezones: assignRowTimeZones_.)
+function reportTimeZone_(spec) {
+  return spec.timeZone || Session.getScriptTimeZone();
+}
+
+/**
+ * Requests for one Config row, after applying the upsert lookback:
+ *   - stat_time_hour reports: one request per day (the API returns hours for one day at a time)
+ *   - stat_time_day reports:  one request per ≤30-day window (the API limit)
+ *   - otherwise:              a single request for the whole range
+ */
+function buildReportSlices_(spec, cfg, lookback) {
+  const start = lookback
+    ? lookbackStart_(cfg.start_date, cfg.end_date, cfg.lookback_days || DEFAULT_LOOKBACK_DAYS)
+    : cfg.start_date;
+  if (isHourlyReport_(spec)) {
+    const days = listDays_(start, cfg.end_date);
+    if (days.length === 0) throw new Error('start_date ' + start + ' is after end_date ' + cfg.end_date + '.');
+    return days.map(day => Object.assign({}, cfg, { start_date: day, end_date: day }));
+  }
+  if (!isDailyReport_(spec)) {
+    return [Object.assign({}, cfg, { start_date: start })];
+  }
+  const windows = buildDailyWindows_(start, cfg.end_date);
+  if (windows.length === 0) throw new Error('start_date ' + start + ' is after end_date ' + cfg.end_date + '.');
+  return windows.map(([startDate, endDate]) => Object.assign({}, cfg, { start_date: startDate, end_date: endDate }));
+}
+
+/**
+ * { "advertiser_id|store_id": yyyy-MM-dd } – how far back each pair with rows in the spec's data
+ * sheet is loaded: its first row, or the start of its last full load (GMVMax_Loaded) if earlier.
+ */
+function loadedPairDays_(spec) {
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const out = {};
+  readSheetRows_(spec.sheetName).forEach(r => {
+    const day = normalizeKeyValue_(r.stat_time_hour || r.stat_time_day, tz).slice(0, 10);
+    if (day && (!out[pairKey_(r)] || day < out[pairKey_(r)])) out[pairKey_(r)] = day;
+  });
+  readSheetRows_(LOADED_PAIRS_SHEET).filter(r => r.sheet === spec.sheetName).forEach(r => {
+    const day = normalizeKeyValue_(r.loaded_from, tz).slice(0, 10);
+    if (out[pairKey_(r)] && day && day < out[pairKey_(r)]) out[pairKey_(r)] = day; // a cleared sheet starts over
+  });
+  return out;
+}
+
+// The upsert lookback is for pairs already loaded from the row's start_date on
+function pairLoadedFor_(loaded, cfg) {
+  const from = loaded && loaded[pairKey_(cfg)];
+  return !!from && from <= cfg.start_date;
+}
+
+/**
+ * Note the full loads of `cfgs` (Config rows) whose pair had no failed request. After a replace
+ * the sheet holds only this run's pairs and ranges, so earlier notes for it are dropped.
+ */
+function recordLoadedPairs_(spec, cfgs, failed, replaced) {
+  const done = cfgs.filter(cfg => !failed.some(f => pairKey_(f) === pairKey_(cfg)));
+  if (done.length === 0 && !replaced) return;
+  const tz = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const rows = readSheetRows_(LOADED_PAIRS_SHEET)
+    .filter(r => !(replaced && r.sheet === spec.sheetName))
+    .map(r => Object.assign(r, { loaded_from: normalizeKeyValue_(r.loaded_from, tz).slice(0, 10) }));
+  done.forEach(cfg => {
+    const row = rows.filter(r => r.sheet === spec.sheetName && pairKey_(r) === pairKey_(cfg))[0];
+    if (!row) rows.push({ sheet: spec.sheetName, advertiser_id: cfg.advertiser_id, store_id: cfg.store_id, loaded_from: cfg.start_date });
+    else if (cfg.start_date < row.loaded_from) row.loaded_from = cfg.start_date;
+  });
+  const created = !SpreadsheetApp.getActive().getSheetByName(LOADED_PAIRS_SHEET);
+  writeRowsToSheet_(LOADED_PAIRS_SHEET, rows, LOADED_PAIRS_HEADERS, ['text', 'id', 'id', 'text']);
+  if (created) SpreadsheetApp.getActive().getSheetByName(LOADED_PAIRS_SHEET).hideSheet();
+}
+
+function pairKey_(r) {
+  return String(r.advertiser_id ?? '').trim() + '|' + String(r.store_id ?? '').trim();
+}
+
+function logConfigRowError_(spec, cfg, err, run) {
+  logRunError_(run, {
+    ts: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss'),
+    advertiser_id: cfg.advertiser_id,
+    store_id: cfg.store_id,
+    window: `${cfg.start_date}..${cfg.end_date}`,
+    message: spec.name + (cfg.config_row ? ' – Config row ' + cfg.config_row : '') + ': ' + String(err && err.message || err)
+  });
+}
+
+/**
+ * Write rows to the spec's data sheet, either replacing it (via the staging sheet) or upserting
+ * by key. Upserts never remove rows, so they go straight in.
+ */
+function writeReportRows_(spec, rows, upsert) {
+  if (upsert) {
+    return upsertRowsToSheet_(spec.sheetName, rows, reportHeaders_(spec), reportKeyColumns_(spec), reportColumnTypes_(spec));
+  }
+  beginStagingSheet_(spec);
+  appendStagedRows_(spec, rows);
+  publishStagingSheet_(spec, false);
+}
+
+/**
+ * Page through gmv_max/report/get for one advertiser/store/date range.
+ * Returns { rows, totalMetrics } with rows already flattened into the spec's columns.
+ * Extra per-row values (e.g. a campaign_id taken from the filter) go in request.context.
+ * Pass the same retryBudget to every call in a run so retries are capped per run, not per request.
+ *
+ * Optional hooks for long-running jobs:
+ *   - request.start_page:            resume from this page instead of 1
+ *   - hooks.onPage(rows, page, body): receives each page's rows (they are then not accumulated)
+ *   - hooks.shouldStop():            checked before every further page; when it returns true the
+ *                                    loop stops and the result carries nextPage to resume from
+ *   - hooks.onProgress(page, totalPages, rowsSoFar, body): called after every page (rows of this request)
+ */
+function fetchGmvMaxReport_(spec, request, accessToken, retryBudget, hooks) {
+  const opts = hooks || {};
+  const budget = retryBudget || newRetryBudget_();
+  const headers = { 'Access-Token': accessToken };
+  const pageSize = request.page_size || 1000;
+  const filtering = typeof spec.filtering === 'function' ? spec.filtering(request) : spec.filtering;
+  const context = Object.assign({
+    advertiser_id: String(request.advertiser_id),
+    store_id: String(request.store_id),
+    timezone: request.timezone || ''
+  }, request.context || {});
+
+  const rows = [];
+  let fetched = 0;
+  let totalMetrics = null;
+  let page = request.start_page || 1;
+  const firstPage = page;
+
+  while (true) {
+    if (page > firstPage && opts.shouldStop && opts.shouldStop()) {
+      return { rows, totalMetrics, nextPage: page };
+    }
+
+    const params = {
+      advertiser_id: String(request.advertiser_id),
+      store_ids: JSON.stringify([String(request.store_id)]),
+      start_date: request.start_date,
+      end_date: request.end_date,
+      dimensions: JSON.stringify(spec.dimensions),
+      metrics: JSON.stringify(requestedMetrics_(spec)),
+      filtering: filtering ? JSON.stringify(filtering) : undefined,
+      page: page,
+      page_size: pageSize
+    };
+    if (request.enable_total_metrics === true) params.enable_total_metrics = true;
+
+    const url = GMVMAX_REPORT_ENDPOINT + '?' + toQueryString_(params);
+    const body = fetchReportPageWithRetry_(url, headers, budget, {
+      report: spec.name,
+      advertiser_id: params.advertiser_id,
+      store_id: String(request.store_id),
+      window: request.start_date + '..' + request.end_date,
+      page: page
+    });
+
+    const data = body.data || {};
+    const list = data.list || [];
+
+    // capture total_metrics once if enabled
+    if (request.enable_total_metrics === true && body.total_metrics && !totalMetrics) {
+      totalMetrics = body.total_metrics;
+    }
+
+    const pageRows = list.map(item => mapReportRow_(spec, item, context));
+    if (opts.onPage) {
+      opts.onPage(pageRows, page, body);
+    } else {
+      pageRows.forEach(r => rows.push(r));
+    }
+
+    const pageInfo = data.page_info || {};
+    fetched += pageRows.length;
+    if (opts.onProgress) opts.onProgress(page, Number(pageInfo.total_page || 1), fetched, body);
+    if (page >= Number(pageInfo.total_page || 1)) break;
+    page++;
+  }
+
+  return { rows, totalMetrics, nextPage: null };
+}
+
+// The spec's metrics minus those filled in by spec.enrichRows
+function requestedMetrics_(spec) {
+  return spec.metrics.filter(m => (spec.lookupMetrics || []).indexOf(m) === -1);
+}
+
+/* ===================== Retry / backoff ===================== */
+
+// Backoff settings. The budget is shared by every request in one run.
+const GMVMAX_RETRY = {
+  maxAttempts: 5,          // per page request (1 try + 4 retries)
+  baseDelayMs: 1000,       // 1s, 2s, 4s, 8s ... before jitter
+  maxDelayMs: 60 * 1000,
+  runRetryBudget: 30,      // total retries allowed per run
+  runSleepBudgetMs: 3 * 60 * 1000 // total backoff sleep per run (Apps Script caps a run at 6 min)
+};
+
+// TikTok API codes worth retrying: rate limits, plus any 5xxxx (server-side) code.
+const GMVMAX_RATE_LIMIT_CODES = [40100];
+
+// deadline (ms since epoch, optional): no backoff sleep may end after it, e.g. a job's time limit
+function newRetryBudget_(deadline) {
+  return { retriesLeft: GMVMAX_RETRY.runRetryBudget, sleepMsLeft: GMVMAX_RETRY.runSleepBudgetMs, deadline: deadline || 0 };
+}
+
+/**
+ * GET one report page, retrying transient failures with exponential backoff + jitter.
+ * Fatal errors (bad params, auth, exhausted budget) throw with the API request_id attached. When
+ * the budget's deadline leaves no time for the next retry, the error is marked outOfTime.
+ * logCtx is copied into each GMVMax_Retries row (report, advertiser_id, store_id, window, page).
+ */
+function fetchReportPageWithRetry_(url, headers, budget, logCtx) {
+  for (let attempt = 1; ; attempt++) {
+    const outcome = fetchReportPageOnce_(url, headers);
+    if (outcome.body) return outcome.body;
+    if (outcome.authError) handleTokenRejected_(outcome.message, headers['Access-Token']); // throws
+
+    const canRetry = outcome.retryable &&
+      attempt < GMVMAX_RETRY.maxAttempts &&
+      budget.retriesLeft > 0 &&
+      budget.sleepMsLeft > 0;
+    if (!canRetry) {
+      const exhausted = outcome.retryable ? ' (gave up after ' + attempt + ' attempt(s))' : '';
+      throw new Error(outcome.message + exhausted);
+    }
+
+    const delayMs = Math.min(backoffDelayMs_(attempt, outcome.retryAfterMs), budget.sleepMsLeft);
+    if (budget.deadline && Date.now() + delayMs >= budget.deadline) {
+      const err = new Error(outcome.message + ' (no time left to retry before the execution limit)');
+      err.outOfTime = true;
+      throw err;
+    }
+    budget.retriesLeft--;
+    budget.sleepMsLeft -= delayMs;
+
+    logRetry_(Object.assign({}, logCtx, {
+      attempt: attempt,
+      delay_ms: delayMs,
+      http_code: outcome.httpCode,
+      api_code: outcome.apiCode,
+      request_id: outcome.requestId,
+      message: outcome.message
+    }));
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Single fetch, never throws. Returns { body } on success, otherwise
+ * { retryable, authError, message, httpCode, apiCode, requestId, retryAfterMs }.
+ */
+function fetchReportPageOnce_(url, headers) {
+  let res;
+  try {
+    res = UrlFetchApp.fetch(url, { method: 'get', headers, muteHttpExceptions: true });
+  } catch (err) {
+    // Network-level failures (timeouts, DNS, "Address unavailable") are transient.
+    return { retryable: true, message: 'Fetch failed: ' + (err && err.message || err), httpCode: '', apiCode: '', requestId: '' };
+  }
+
+  const httpCode = res.getResponseCode();
+  const text = res.getContentText();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    body = null;
+  }
+  const requestId = (body && body.request_id) || '';
+  const retryAfterMs = rateLimitHintMs_(res.getHeaders ? res.getHeaders() : {}, body);
+
+  if (httpCode !== 200) {
+    return {
+      retryable: httpCode === 429 || httpCode >= 500,
+      message: 'HTTP ' + httpCode + ': ' + text + (requestId ? ' [request_id ' + requestId + ']' : ''),
+      httpCode, apiCode: body ? body.code : '', requestId, retryAfterMs
+    };
+  }
+  if (!body) {
+    return { retryable: true, message: 'Unparseable response: ' + text.slice(0, 200), httpCode, apiCode: '', requestId, retryAfterMs };
+  }
+  if (body.code !== 0) {
+    return {
+      retryable: isRetryableApiCode_(body.code),
+      authError: GMVMAX_AUTH_ERROR_CODES.indexOf(Number(body.code)) !== -1,
+      message: 'API ' + body.code + ': ' + body.message + (requestId ? ' [request_id ' + requestId + ']' : ''),
+      httpCode, apiCode: body.code, requestId, retryAfterMs
+    };
+  }
+  return { body };
+}
+
+function isRetryableApiCode_(code) {
+  const c = Number(code);
+  return GMVMAX_RATE_LIMIT_CODES.indexOf(c) !== -1 || (c >= 50000 && c < 60000);
+}
+
+/**
+ * Rate-limit hint in ms, or 0 if the response has none.
+ * Looks at Retry-After / X-RateLimit-Reset style headers and a retry_after field in the body.
+ */
+function rateLimitHintMs_(responseHeaders, body) {
+  const h = {};
+  Object.keys(responseHeaders || {}).forEach(k => h[k.toLowerCase()] = responseHeaders[k]);
+
+  const retryAfter = num_(h['retry-after']);
+  if (isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+
+  const reset = num_(h['x-ratelimit-reset']);
+  if (isFinite(reset) && reset > 0) {
+    // Either seconds-until-reset or an epoch timestamp in seconds.
+    const ms = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    if (ms > 0) return ms;
+  }
+
+  const bodyHint = num_(body && body.data && body.data.retry_after);
+  if (isFinite(bodyHint) && bodyHint > 0) return bodyHint * 1000;
+
+  return 0;
+}
+
+// Full-jitter exponential backoff, never shorter than the server's hint.
+function backoffDelayMs_(attempt, retryAfterMs) {
+  const cap = Math.min(GMVMAX_RETRY.maxDelayMs, GMVMAX_RETRY.baseDelayMs * Math.pow(2, attempt - 1));
+  const jittered = Math.round(cap / 2 + Math.random() * cap / 2);
+  return Math.max(jittered, retryAfterMs || 0);
+}
+
+function logRetry_(obj) {
+  const row = Object.assign({ ts: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss') }, obj);
+  appendLogRow_('GMVMax_Retries', [
+    'ts', 'report', 'advertiser_id', 'store_id', 'window', 'page',
+    'attempt', 'delay_ms', 'http_code', 'api_code', 'request_id', 'message'
+  ], row);
+}
+
+/** Flatten one API list item into a row object keyed by the spec's column names. */
+function mapReportRow_(spec, item, context) {
+  const d = item.dimensions || {};
+  const m = item.metrics || {};
+  const row = {};
+  reportColumns_(spec).forEach(col => {
+    let value;
+    if (typeof col === 'string') {
+      value = col in d ? d[col] : (col in m ? m[col] : context[col]);
+    } else if (col.value) {
+      value = col.value(d, m, context);
+    } else if (col.metric) {
+      value = m[col.metric];
+    } else if (col.dimension) {
+      value = d[col.dimension];
+    } else {
+      value = context[col.context || col.name];
+    }
+    row[columnName_(col)] = value ?? ''; // typed on write (toCellValue_), so 0 stays 0
+  });
+  // Not columns of the data sheet, but read by updateCampaignDimension_
+  campaignDimensionAttributes_(spec).forEach(a => row[a] = m[a] ?? '');
+  return row;
+}
+
+// Local date ('2025-09-03') and hour-of-day (14) of a stat_time_hour such as
+// "2025-09-03 14:00:00", which the API already reports in the advertiser's timezone.
+function statDateOf_(statTimeHour) {
+  return String(statTimeHour || '').slice(0, 10);
+}
+
+function statHourOf_(statTimeHour) {
+  const hh = String(statTimeHour || '').slice(11, 13);
+  return hh === '' ? '' : Number(hh);
+}
+
+/** The spec's columns with { selectedMetrics: true } expanded into the spec.metrics columns. */
+function reportColumns_(spec) {
+  const fixed = spec.columns.filter(col => !col.selectedMetrics).map(columnName_);
+  const out = [];
+  spec.columns.forEach(col => {
+    if (!col.selectedMetrics) return out.push(col);
+    // campaign_id is both a dimension and a metric; it keeps its fixed place
+    const dimensionAttributes = campaignDimensionAttributes_(spec);
+    spec.metrics.filter(m => dimensionAttributes.indexOf(m) === -1).map(metricColumn_)
+      .filter(mc => fixed.indexOf(columnName_(mc)) === -1)
+      .forEach(mc => out.push(mc));
+  });
+  return out;
+}
+
+function reportHeaders_(spec) {
+  return reportColumns_(spec).map(columnName_);
+}
+
+// Columns that identify a row for upserts; spec.keyColumns overrides the default.
+const GMVMAX_KEY_COLUMNS = [
+  'advertiser_id', 'store_id', 'campaign_id', 'stat_time_day', 'stat_time_hour', 'item_group_id', 'item_id'
+];
+
+function reportKeyColumns_(spec) {
+  if (spec.keyColumns) return spec.keyColumns;
+  const headers = reportHeaders_(spec);
+  return GMVMAX_KEY_COLUMNS.filter(k => headers.indexOf(k) !== -1);
+}
+
+function columnName_(col) {
+  return typeof col === 'string' ? col : col.name;
+}
+
+function toQueryString_(params) {
+  const parts = [];
+  Object.keys(params).forEach(k => {
+    const v = params[k];
+    if (v === undefined || v === null) return;
+    parts.push(encodeURIComponent(k) + '=' + encodeURIComponent(String(v)));
+  });
+  return parts.join('&');
+}
+
+function num_(x) {
+  const n = typeof x === 'string' ? parseFloat(x) : Number(x);
+  return isNaN(n) ? NaN : n;
+}
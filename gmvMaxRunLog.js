@@ -0,0 +1,111 @@
+/**
+ * GMV Max – run history
+ *
+ * Every report execution appends one row to "Run_Log": report, source (manual, trigger,
+ * sidebar, schedule, continuation of a paused job), the resolved parameters, windows and pages fetched, rows written,
+ * API request_ids, duration and final status (OK, PARTIAL, FAILED; PAUSED for a job execution
+ * that hands over to its continuation trigger; SKIPPED for a schedule whose row is disabled or
+ * invalid). Errors logged to GMVMax_Errors carry the run_id, and the run's `errors` cell links
+ * to its first error row. Finished runs are also posted to the chat webhooks, if any
+ * (gmvMaxNotifier.js).
+ */
+const RUN_LOG_SHEET = 'Run_Log';
+const RUN_LOG_HEADERS = [
+  'run_id', 'started_at', 'finished_at', 'duration_s', 'report', 'source', 'status',
+  'params', 'windows', 'pages', 'rows_written', 'failures', 'request_ids', 'error', 'errors'
+];
+const RUN_LOG_MAX_CELL = 45000; // Sheets caps a cell at 50,000 characters
+
+/** A new run record; pass it along and fill in params / windows / pages / rows_written as you go. */
+function startRunLog_(spec, source) {
+  return {
+    run_id: Utilities.getUuid().slice(0, 8),
+    started: new Date(),
+    report: spec.name,
+    source: source || 'manual',
+    params: null,
+    windows: 0,
+    pages: 0,
+    rows_written: 0,
+    failures: 0,
+    request_ids: [],
+    first_error_row: null
+  };
+}
+
+/** Record one fetched page (called from the report loops). */
+function recordRunPage_(run, body) {
+  if (!run) return;
+  run.pages++;
+  if (body && body.request_id) run.request_ids.push(body.request_id);
+}
+
+/** Append the finished run to Run_Log. status: OK | PARTIAL | FAILED | PAUSED | SKIPPED. */
+function finishRunLog_(run, status, err) {
+  const finished = new Date();
+  const tz = Session.getScriptTimeZone();
+  let errorsLink = '';
+  if (run.first_error_row) {
+    const errSheet = SpreadsheetApp.getActive().getSheetByName('GMVMax_Errors');
+    errorsLink = '=HYPERLINK("#gid=' + errSheet.getSheetId() + '&range=A' + run.first_error_row + '", "GMVMax_Errors row ' +
+      run.first_error_row + '")';
+  }
+  appendLogRow_(RUN_LOG_SHEET, RUN_LOG_HEADERS, {
+    run_id: run.run_id,
+    started_at: Utilities.formatDate(run.started, tz, 'yyyy-MM-dd HH:mm:ss'),
+    finished_at: Utilities.formatDate(finished, tz, 'yyyy-MM-dd HH:mm:ss'),
+    duration_s: Math.round((finished.getTime() - run.started.getTime()) / 1000),
+    report: run.report,
+    source: run.source,
+    status: status,
+    params: run.params ? truncateCell_(JSON.stringify(run.params, redactSecrets_)) : '',
+    windows: run.windows,
+    pages: run.pages,
+    rows_written: run.rows_written,
+    failures: run.failures,
+    request_ids: truncateCell_(run.request_ids.join(', ')),
+    error: err ? truncateCell_(String(err && err.message || err)) : '',
+    errors: errorsLink
+  });
+  if (status !== 'PAUSED' && status !== 'SKIPPED') notifyRunSummary_(run, status, err);
+}
+
+/** Log an error row for this run and remember where the run's first error landed. */
+function logRunError_(run, obj) {
+  const row = logErrorRow_('GMVMax_Errors', Object.assign({ run_id: run ? run.run_id : '' }, obj));
+  if (run) {
+    run.failures++;
+    if (!run.first_error_row) run.first_error_row = row;
+  }
+}
+
+/** How a runner was started: time-driven/installable triggers pass an event with triggerUid. */
+function runSourceOf_(e) {
+  return e && e.triggerUid ? 'trigger' : 'manual';
+}
+
+// The parameters of a run, one entry per Config row, as logged in Run_Log.
+function runParamsOf_(cfgs) {
+  return cfgs.map(c => ({
+    config_row: c.config_row,
+    advertiser_id: c.advertiser_id,
+    store_id: c.store_id,
+    start_date: c.start_date,
+    end_date: c.end_date,
+    timezone: c.timezone,
+    campaign_ids: c.campaign_ids,
+    item_group_ids: c.item_group_ids,
+    creative_delivery_statuses: c.creative_delivery_statuses,
+    write_mode: c.write_mode
+  }));
+}
+
+// JSON.stringify replacer: never write tokens or secrets to the sheet.
+function redactSecrets_(key, value) {
+  return /token|secret/i.test(key) ? '[redacted]' : value;
+}
+
+function truncateCell_(s) {
+  const str = String(s ?? '');
+  return str.length > RUN_LOG_MAX_CELL ? str.slice(0, RUN_LOG_MAX_CELL) + '…' : str;
+}
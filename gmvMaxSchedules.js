@@ -0,0 +1,290 @@
+/**
+ * GMV Max – scheduled refreshes
+ *
+ * Schedules sheet: headers in row 1, one schedule per row:
+ *   name       – unique label, e.g. "live hourly today"
+ *   report     – report id from gmvMaxReports_() (product_campaign_daily, live_campaign_hourly, ...)
+ *   start_date, end_date – date or expression (today, yesterday, today-7, last_month, since:…)
+ *   cadence    – every 30 minutes | every 2 hours | daily 02:00 | weekly mon 06:00
+ *   enabled    – FALSE pauses the schedule
+ *   last_run, last_status, next_run – written by the script
+ *
+ * A scheduled run uses every Config row (advertisers, stores, filters, write mode) with the
+ * schedule's dates in place of the Config dates. installGmvMaxSchedules creates, replaces or
+ * deletes time-driven triggers so they match the sheet; all of them call runGmvMaxSchedule,
+ * which finds its row by the firing trigger's id. Apps Script allows 20 triggers per user.
+ *
+ * Runs hold the script lock. A job-backed report (live_campaign_daily) is started through its
+ * job instead, which locks, pauses and resumes on its own; while a job is in progress, schedules
+ * of a report writing the same sheet are skipped. A trigger whose row has since been disabled or
+ * made invalid logs a SKIPPED run instead of running.
+ */
+const SCHEDULES_SHEET = 'Schedules';
+const SCHEDULE_HEADERS = ['name', 'report', 'start_date', 'end_date', 'cadence', 'enabled', 'last_run', 'last_status', 'next_run'];
+const SCHEDULE_HANDLER = 'runGmvMaxSchedule';
+const SCHEDULE_TRIGGERS_PROPERTY = 'GMVMAX_SCHEDULE_TRIGGERS'; // { triggerId: { name, cadence } }
+
+const SCHEDULE_MINUTE_STEPS = [1, 5, 10, 15, 30];
+const SCHEDULE_HOUR_STEPS = [1, 2, 4, 6, 8, 12];
+const SCHEDULE_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Make the triggers match the Schedules sheet: add new, replace changed, drop removed/disabled. */
+function installGmvMaxSchedules() {
+  const schedules = readSchedules_();
+  const installed = loadScheduleTriggers_();
+  const triggers = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === SCHEDULE_HANDLER);
+  const wanted = {};
+  schedules.filter(s => s.enabled && !s.problem).forEach(s => wanted[s.name] = s.cadence);
+
+  // Drop triggers that are unknown, removed, disabled or whose cadence changed
+  triggers.forEach(t => {
+    const info = installed[t.getUniqueId()];
+    if (!info || wanted[info.name] !== info.cadence) {
+      ScriptApp.deleteTrigger(t);
+      delete installed[t.getUniqueId()];
+    }
+  });
+  Object.keys(installed).forEach(id => {
+    if (!triggers.some(t => t.getUniqueId() === id)) delete installed[id]; // deleted by hand
+  });
+
+  const have = {};
+  Object.keys(installed).forEach(id => have[installed[id].name] = true);
+  schedules.forEach(s => {
+    if (s.problem) return writeScheduleStatus_(s, { last_status: 'INVALID: ' + s.problem, next_run: '' });
+    if (!s.enabled) return writeScheduleStatus_(s, { next_run: '' });
+    if (!have[s.name]) {
+      const trigger = buildScheduleTrigger_(parseCadence_(s.cadence)).create();
+      installed[trigger.getUniqueId()] = { name: s.name, cadence: s.cadence };
+    }
+    writeScheduleStatus_(s, { next_run: nextScheduleRun_(parseCadence_(s.cadence), new Date()) });
+  });
+
+  saveScheduleTriggers_(installed);
+}
+
+/** Delete every schedule trigger (the Schedules sheet is kept). */
+function removeGmvMaxSchedules() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === SCHEDULE_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  saveScheduleTriggers_({});
+  readSchedules_().forEach(s => writeScheduleStatus_(s, { next_run: '' }));
+}
+
+/** Trigger handler: run the schedule whose trigger fired and write the outcome back to its row. */
+function runGmvMaxSchedule(e) {
+  const info = loadScheduleTriggers_()[e && e.triggerUid];
+  const schedule = info && readSchedules_().filter(s => s.name === info.name)[0];
+  if (!schedule) {
+    console.warn('No schedule for trigger ' + (e && e.triggerUid) + '; run installGmvMaxSchedules to tidy up.');
+    return;
+  }
+  // The row may have been disabled or broken since the triggers were installed
+  if (!schedule.enabled || schedule.problem) return skipSchedule_(schedule);
+
+  const started = new Date();
+  const status = { last_run: started, next_run: nextScheduleRun_(parseCadence_(schedule.cadence), started) };
+  let report;
+  try {
+    report = gmvMaxReportById_(schedule.report);
+  } catch (err) {
+    writeScheduleStatus_(schedule, Object.assign(status, { last_status: 'FAILED: ' + err.message }));
+    return;
+  }
+  if (report.runJob) {
+    // The job takes the script lock itself and pauses/resumes across executions
+    try {
+      status.last_status = runScheduledJob_(schedule, report);
+    } catch (err) {
+      status.last_status = 'FAILED: ' + String(err && err.message || err);
+    }
+    writeScheduleStatus_(schedule, status);
+    return;
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(60 * 1000)) {
+    writeScheduleStatus_(schedule, Object.assign(status, { last_status: 'SKIPPED: another run was in progress' }));
+    return;
+  }
+  try {
+    const jobs = jobsWritingSheet_(report.spec.sheetName);
+    if (jobs.length > 0) {
+      status.last_status = 'SKIPPED: job ' + jobs.join(', ') + ' is still writing ' + report.spec.sheetName;
+      return;
+    }
+    const result = runGmvMaxReport_(report.spec, () => scheduledConfigRows_(schedule), report.prepareRow,
+      { source: 'schedule: ' + schedule.name, locked: true });
+    status.last_status = (result.failures.length ? 'PARTIAL: ' + result.failures.length + ' request(s) failed, ' : 'OK: ') +
+      result.rows.length + ' rows';
+  } catch (err) {
+    status.last_status = 'FAILED: ' + String(err && err.message || err);
+  } finally {
+    lock.releaseLock();
+    writeScheduleStatus_(schedule, status);
+  }
+}
+
+// Log a SKIPPED run for a disabled or invalid row; its trigger goes at the next install.
+function skipSchedule_(schedule) {
+  const reason = schedule.problem ? 'invalid row, ' + schedule.problem : 'disabled';
+  let spec;
+  try {
+    spec = gmvMaxReportById_(schedule.report).spec;
+  } catch (err) {
+    spec = { name: String(schedule.report || schedule.name) };
+  }
+  finishRunLog_(startRunLog_(spec, 'schedule: ' + schedule.name), 'SKIPPED', reason);
+  writeScheduleStatus_(schedule, { last_run: new Date(), last_status: 'SKIPPED: ' + reason, next_run: '' });
+}
+
+// A fresh job run uses the schedule's dates; a job that is still in progress just carries on.
+function runScheduledJob_(schedule, report) {
+  const result = report.runJob(null, {
+    source: 'schedule: ' + schedule.name,
+    configRows: () => scheduledConfigRows_(schedule)
+  });
+  if (result.status === 'busy') return 'SKIPPED: another run was in progress';
+  const cursor = result.cursor;
+  if (result.status === 'paused') {
+    return 'RUNNING: ' + cursor.rows_written + ' rows so far, resumes by trigger (see Run_Log)';
+  }
+  if (result.run_status !== 'PARTIAL') return 'OK: ' + cursor.rows_written + ' rows';
+  return 'PARTIAL: ' + (cursor.failed_slices ? cursor.failed_slices + ' window(s) failed, ' : 'see GMVMax_Errors, ') +
+    cursor.rows_written + ' rows';
+}
+
+// Config rows with the schedule's dates
+function scheduledConfigRows_(schedule) {
+  return readConfigRows_().map(cfg => Object.assign(cfg, {
+    start_date: schedule.start_date,
+    end_date: schedule.end_date,
+    raw: Object.assign({}, cfg.raw, { start_date: schedule.start_date, end_date: schedule.end_date }),
+    cells: Object.assign({}, cfg.cells, { start_date: schedule.cells.start_date, end_date: schedule.cells.end_date })
+  }));
+}
+
+/** Rows of the Schedules sheet (created with headers if missing), each with a `problem` if invalid. */
+function readSchedules_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SCHEDULES_SHEET);
+  if (!sh) {
+    sh = ss.insertSheet(SCHEDULES_SHEET);
+    sh.getRange(1, 1, 1, SCHEDULE_HEADERS.length).setValues([SCHEDULE_HEADERS]);
+    return [];
+  }
+  if (sh.getLastRow() < 2) return [];
+
+  const values = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getDisplayValues();
+  const headers = values[0].map(h => String(h).trim());
+  const seen = {};
+  const out = [];
+  values.slice(1).forEach((row, i) => {
+    if (row.every(v => String(v).trim() === '')) return;
+    const s = { row: i + 2, headers: headers, cells: {} };
+    headers.forEach((h, c) => {
+      s[h] = String(row[c] || '').trim();
+      s.cells[h] = SCHEDULES_SHEET + '!' + columnLetter_(c + 1) + (i + 2);
+    });
+    s.enabled = String(s.enabled || '').toUpperCase() !== 'FALSE';
+    s.problem = scheduleProblem_(s, seen);
+    seen[s.name] = true;
+    out.push(s);
+  });
+  return out;
+}
+
+function scheduleProblem_(s, seen) {
+  if (!s.name) return 'name is required.';
+  if (seen[s.name]) return 'name "' + s.name + '" is used by another row.';
+  if (!gmvMaxReports_().some(r => r.id === s.report)) {
+    return 'report must be one of ' + gmvMaxReports_().map(r => r.id).join(', ') + '.';
+  }
+  if (!parseCadence_(s.cadence)) {
+    return 'cadence must look like "every 30 minutes", "every 2 hours", "daily 02:00" or "weekly mon 06:00".';
+  }
+  try {
+    resolveDateRange_(s.start_date, s.end_date, Session.getScriptTimeZone());
+  } catch (err) {
+    return String(err.message || err);
+  }
+  return '';
+}
+
+/**
+ * { every: 'minutes' | 'hours', step } or { every: 'day' | 'week', weekday, hour, minute }, or null.
+ */
+function parseCadence_(text) {
+  const s = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  let m = s.match(/^every (\d+) (minute|minutes|hour|hours)$/);
+  if (m) {
+    const step = Number(m[1]);
+    const every = m[2].indexOf('minute') === 0 ? 'minutes' : 'hours';
+    const allowed = every === 'minutes' ? SCHEDULE_MINUTE_STEPS : SCHEDULE_HOUR_STEPS;
+    return allowed.indexOf(step) !== -1 ? { every, step } : null;
+  }
+  m = s.match(/^(daily|weekly ([a-z]{3})) (\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hour = Number(m[3]);
+  const minute = Number(m[4]);
+  if (hour > 23 || minute > 59) return null;
+  if (m[1] === 'daily') return { every: 'day', hour, minute };
+  const weekday = SCHEDULE_WEEKDAYS.indexOf(m[2]);
+  return weekday === -1 ? null : { every: 'week', weekday, hour, minute };
+}
+
+function buildScheduleTrigger_(cadence) {
+  const builder = ScriptApp.newTrigger(SCHEDULE_HANDLER).timeBased();
+  if (cadence.every === 'minutes') return builder.everyMinutes(cadence.step);
+  if (cadence.every === 'hours') return builder.everyHours(cadence.step);
+  const weekdays = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+  const timed = cadence.every === 'week'
+    ? builder.onWeekDay(ScriptApp.WeekDay[weekdays[cadence.weekday]]).atHour(cadence.hour)
+    : builder.everyDays(1).atHour(cadence.hour);
+  return timed.nearMinute(cadence.minute);
+}
+
+/**
+ * Expected next run after `from` (script timezone). Apps Script only promises daily/weekly
+ * triggers within about 15 minutes of the requested time, so this is an estimate.
+ */
+function nextScheduleRun_(cadence, from) {
+  const msMinute = 60 * 1000;
+  if (cadence.every === 'minutes') return new Date(from.getTime() + cadence.step * msMinute);
+  if (cadence.every === 'hours') return new Date(from.getTime() + cadence.step * 60 * msMinute);
+
+  const tz = Session.getScriptTimeZone();
+  const hhmm = Utilities.formatDate(from, tz, 'HH:mm').split(':').map(Number);
+  const weekday = new Date(Utilities.formatDate(from, tz, 'yyyy-MM-dd') + 'T00:00:00Z').getUTCDay();
+  let minutesAhead = (cadence.hour * 60 + cadence.minute) - (hhmm[0] * 60 + hhmm[1]);
+  if (cadence.every === 'week') {
+    minutesAhead += ((cadence.weekday - weekday + 7) % 7) * 24 * 60;
+    if (minutesAhead <= 0) minutesAhead += 7 * 24 * 60;
+  } else if (minutesAhead <= 0) {
+    minutesAhead += 24 * 60;
+  }
+  const next = new Date(from.getTime() + minutesAhead * msMinute);
+  next.setSeconds(0, 0);
+  return next;
+}
+
+// Write the script-owned columns (last_run, last_status, next_run) of one schedule row.
+function writeScheduleStatus_(schedule, values) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SCHEDULES_SHEET);
+  Object.keys(values).forEach(k => {
+    const col = schedule.headers.indexOf(k);
+    if (col === -1) return;
+    const cell = sh.getRange(schedule.row, col + 1);
+    if (values[k] instanceof Date) cell.setNumberFormat('yyyy-mm-dd hh:mm');
+    cell.setValue(values[k]);
+  });
+}
+
+function loadScheduleTriggers_() {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(SCHEDULE_TRIGGERS_PROPERTY) || '{}');
+}
+
+function saveScheduleTriggers_(map) {
+  PropertiesService.getScriptProperties().setProperty(SCHEDULE_TRIGGERS_PROPERTY, JSON.stringify(map));
+}
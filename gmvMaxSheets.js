@@ -0,0 +1,199 @@
+/**
+ * GMV Max – shared sheet writers
+ *
+ * The data writers take an optional `types` array aligned with headerOrder (see
+ * gmvMaxColumns.js); without it types are looked up by header name. Values are converted with
+ * toCellValue_ and the matching number formats are set before the values are written.
+ */
+function writeRowsToSheet_(sheetName, rows, headerOrder, types) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(sheetName);
+  if (!sh) sh = ss.insertSheet(sheetName);
+  const colTypes = types || columnTypesFor_(headerOrder);
+
+  // Clear and write headers
+  sh.clearContents();
+  sh.getRange(1, 1, 1, headerOrder.length).setValues([headerOrder]);
+
+  // Write data
+  const data = toSheetValues_(rows, headerOrder, colTypes);
+  if (data.length > 0) {
+    applyColumnFormats_(sh, 2, data.length, colTypes);
+    sh.getRange(2, 1, data.length, headerOrder.length).setValues(data);
+  }
+}
+
+/** Append rows below the existing data (header is written first if the sheet is empty). */
+function appendRowsToSheet_(sheetName, rows, headerOrder, types) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(sheetName);
+  if (!sh) sh = ss.insertSheet(sheetName);
+  const colTypes = types || columnTypesFor_(headerOrder);
+
+  if (sh.getLastRow() === 0) {
+    sh.getRange(1, 1, 1, headerOrder.length).setValues([headerOrder]);
+  }
+  const data = toSheetValues_(rows, headerOrder, colTypes);
+  if (data.length > 0) {
+    const startRow = sh.getLastRow() + 1;
+    applyColumnFormats_(sh, startRow, data.length, colTypes);
+    sh.getRange(startRow, 1, data.length, headerOrder.length).setValues(data);
+  }
+}
+
+// Row objects -> 2D array in header order, each value converted for its column type
+function toSheetValues_(rows, headerOrder, types) {
+  return (rows || []).map(r => headerOrder.map((h, i) => toCellValue_(r[h], types[i])));
+}
+
+/**
+ * Incremental write: update rows whose key already exists, append the rest.
+ * Only the data cells are touched (no clearContents, no row deletes), so formulas,
+ * pivot tables and charts pointing at the sheet keep their ranges.
+ * Rows that are not in `rows` are left as they are.
+ */
+function upsertRowsToSheet_(sheetName, rows, headerOrder, keyColumns, types) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(sheetName);
+  if (!sh) sh = ss.insertSheet(sheetName);
+  const colTypes = types || columnTypesFor_(headerOrder);
+
+  const lastRow = sh.getLastRow();
+  if (lastRow === 0) {
+    writeRowsToSheet_(sheetName, rows, headerOrder, colTypes);
+    return { updated: 0, appended: (rows || []).length };
+  }
+
+  const existingHeader = sh.getRange(1, 1, 1, headerOrder.length).getValues()[0].map(String);
+  // Columns a report gained at the end (e.g. timezone) are added; older rows stay blank there
+  const width = existingHeader.indexOf('') === -1 ? existingHeader.length : existingHeader.indexOf('');
+  if (width === 0 || existingHeader.slice(0, width).join('\u0001') !== headerOrder.slice(0, width).join('\u0001') ||
+      existingHeader.slice(width).some(h => h !== '')) {
+    throw new Error('Upsert into "' + sheetName + '" needs the same columns as the report. ' +
+      'Rename or delete the sheet to start over with the new layout.');
+  }
+  if (width < headerOrder.length) {
+    sh.getRange(1, width + 1, 1, headerOrder.length - width).setValues([headerOrder.slice(width)]);
+  }
+
+  const tz = ss.getSpreadsheetTimeZone();
+  const keyIdx = keyColumns.map(k => headerOrder.indexOf(k));
+  const keyOf = values => keyIdx.map(i => normalizeKeyValue_(values[i], tz)).join('|');
+
+  const existing = lastRow > 1
+    ? sh.getRange(2, 1, lastRow - 1, headerOrder.length).getValues()
+    : [];
+  const rowByKey = {};
+  existing.forEach((values, i) => rowByKey[keyOf(values)] = i);
+
+  const appended = [];
+  let updated = 0;
+  // A key repeated within `rows` (e.g. overlapping Config rows) keeps its last row
+  toSheetValues_(rows, headerOrder, colTypes).forEach(values => {
+    const key = keyOf(values);
+    if (key in rowByKey && rowByKey[key] >= existing.length) {
+      appended[rowByKey[key] - existing.length] = values;
+    } else if (key in rowByKey) {
+      existing[rowByKey[key]] = values;
+      updated++;
+    } else {
+      rowByKey[key] = existing.length + appended.length;
+      appended.push(values);
+    }
+  });
+
+  if (updated > 0) {
+    sh.getRange(2, 1, existing.length, headerOrder.length).setValues(existing);
+  }
+  if (appended.length > 0) {
+    applyColumnFormats_(sh, lastRow + 1, appended.length, colTypes);
+    sh.getRange(lastRow + 1, 1, appended.length, headerOrder.length).setValues(appended);
+  }
+  return { updated, appended: appended.length };
+}
+
+/**
+ * Remove the data rows for which keep(row) is false and move the rest up. Like upserts, only
+ * cell contents are rewritten (the sheet and its formats stay). onRemove(rows) gets the removed
+ * rows as objects first; if it throws, the sheet is left as it was. Returns the number removed.
+ */
+function trimSheetRows_(sheetName, keep, onRemove) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  if (!sh || sh.getLastRow() < 2) return 0;
+  const width = sh.getLastColumn();
+  const values = sh.getRange(1, 1, sh.getLastRow(), width).getValues();
+  const headers = values[0].map(String);
+  const asObject = v => {
+    const obj = {};
+    headers.forEach((h, i) => obj[h] = v[i]);
+    return obj;
+  };
+
+  const kept = [];
+  const removed = [];
+  values.slice(1).forEach(v => (keep(asObject(v)) ? kept : removed).push(v));
+  if (removed.length === 0) return 0;
+  if (onRemove) onRemove(removed.map(asObject));
+
+  if (kept.length > 0) sh.getRange(2, 1, kept.length, width).setValues(kept);
+  sh.getRange(2 + kept.length, 1, removed.length, width).clearContent();
+  return removed.length;
+}
+
+// Sheets turns "2025-06-01 00:00:00" into a Date on write; compare keys as text either way.
+function normalizeKeyValue_(v, tz) {
+  if (v instanceof Date) return Utilities.formatDate(v, tz, 'yyyy-MM-dd HH:mm:ss');
+  const str = String(v ?? '').trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str + ' 00:00:00' : str;
+}
+
+/** Data rows of a sheet as objects keyed by its header row ([] if missing or empty). */
+function readSheetRows_(sheetName) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  if (!sh || sh.getLastRow() < 2) return [];
+  const values = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getValues();
+  const headers = values[0].map(String);
+  return values.slice(1).map(v => {
+    const obj = {};
+    headers.forEach((h, i) => obj[h] = v[i]);
+    return obj;
+  });
+}
+
+function sheetHasData_(sheetName) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  return !!sh && sh.getLastRow() > 1;
+}
+
+function writeTotalsSheet_(sheetName, totals) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(sheetName);
+  if (!sh) sh = ss.insertSheet(sheetName);
+  sh.clearContents();
+
+  const keys = Object.keys(totals);
+  const types = columnTypesFor_(keys);
+  sh.getRange(1, 1, 1, keys.length).setValues([keys]);
+  applyColumnFormats_(sh, 2, 1, types);
+  sh.getRange(2, 1, 1, keys.length).setValues([keys.map((k, i) => toCellValue_(totals[k], types[i]))]);
+}
+
+function logErrorRow_(sheetName, obj) {
+  return appendLogRow_(sheetName, ['ts', 'advertiser_id', 'store_id', 'window', 'message', 'run_id'], obj);
+}
+
+// Append one row to a log sheet, writing the header row first if the sheet is empty (or adding
+// columns a newer version logs). Returns the row number written.
+function appendLogRow_(sheetName, keys, obj) {
+  const ss = SpreadsheetApp.getActive();
+  const sh = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+
+  if (sh.getLastRow() === 0) {
+    sh.getRange(1, 1, 1, keys.length).setValues([keys]);
+  } else if (sh.getLastColumn() < keys.length) {
+    const have = sh.getLastColumn();
+    sh.getRange(1, have + 1, 1, keys.length - have).setValues([keys.slice(have)]);
+  }
+  sh.appendRow(keys.map(k => obj[k] ?? ''));
+  return sh.getLastRow();
+}
@@ -0,0 +1,41 @@
+/**
+ * GMV Max – output sinks
+ *
+ * A report's rows always go to its data sheet (gmvMaxPublish.js). spec.sinks lists further
+ * places for the same rows, e.g.
+ *   sinks: [{ type: 'drive', format: 'csv', keepSheetDays: 365 }]
+ * The entry's type picks its writer in REPORT_SINKS, called as write(spec, sink, rows, run, ranges)
+ * once the data sheet is written, with the rows of this run. When the data sheet was replaced,
+ * `ranges` lists the [{ advertiser_id, store_id, start_date, end_date }] the run refetched in full
+ * (pairs with a failed request left out); it is null after an upsert (the rows may be a lookback). Another output (BigQuery, a second
+ * spreadsheet) is one more entry there.
+ *
+ * A failing sink is logged to GMVMax_Errors and makes the run PARTIAL; the data sheet and the
+ * other sinks are not affected.
+ */
+const REPORT_SINKS = {
+  drive: (spec, sink, rows, run, ranges) => writeDriveArchive_(spec, sink, rows, run, ranges) // gmvMaxDriveArchive.js
+};
+
+/** Write the rows to each of the spec's sinks; returns the failed ones as [{ sink, message }]. */
+function writeReportSinks_(spec, rows, run, ranges) {
+  const failures = [];
+  (spec.sinks || []).forEach(sink => {
+    try {
+      const write = REPORT_SINKS[sink && sink.type];
+      if (!write) throw new Error('sink type must be one of ' + Object.keys(REPORT_SINKS).join(', ') + '.');
+      write(spec, sink, rows, run, ranges);
+    } catch (err) {
+      const message = spec.name + ' – ' + (sink && sink.type || '?') + ' sink: ' + String(err && err.message || err);
+      failures.push({ sink, message });
+      logRunError_(run, {
+        ts: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss'),
+        advertiser_id: '',
+        store_id: '',
+        window: '',
+        message: message
+      });
+    }
+  });
+  return failures;
+}
@@ -0,0 +1,60 @@
+/**
+ * GMV Max – advertiser timezones
+ *
+ * TikTok reports stat_time_day / stat_time_hour in the ad account's timezone, so "today",
+ * date windows and hour labels are all taken in that timezone. Per Config row it is:
+ *   1. the row's `timezone` column (IANA name, e.g. Asia/Jakarta), else
+ *   2. the advertiser's account timezone from advertiser/info (cached in Script Properties), else
+ *   3. reportTimeZone_(spec) – spec.timeZone or the script timezone.
+ * Delete the GMVMAX_ADVERTISER_TIMEZONES Script Property to look the accounts up again.
+ */
+const TT_ADVERTISER_INFO_ENDPOINT = 'https://business-api.tiktok.com/open_api/v1.3/advertiser/info/';
+const ADVERTISER_TZ_PROPERTY = 'GMVMAX_ADVERTISER_TIMEZONES';
+
+/**
+ * Sets cfg.timezone on every row (see above). Lookup failures fall back to the report timezone.
+ * retryBudget: the run's (newRetryBudget_), so lookups count against the same retries.
+ */
+function assignRowTimeZones_(spec, cfgs, accessToken, retryBudget) {
+  const missing = cfgs.filter(cfg => !cfg.timezone).map(cfg => String(cfg.advertiser_id));
+  const known = missing.length ? advertiserTimeZones_(missing, accessToken, retryBudget) : {};
+  cfgs.forEach(cfg => {
+    cfg.timezone = cfg.timezone || known[String(cfg.advertiser_id)] || reportTimeZone_(spec);
+  });
+}
+
+/** { advertiser_id: IANA timezone } for the given IDs, from the cache or advertiser/info. */
+function advertiserTimeZones_(advertiserIds, accessToken, retryBudget) {
+  const props = PropertiesService.getScriptProperties();
+  const cache = JSON.parse(props.getProperty(ADVERTISER_TZ_PROPERTY) || '{}');
+  const todo = advertiserIds.filter((id, i) => id && !cache[id] && advertiserIds.indexOf(id) === i);
+
+  for (let i = 0; i < todo.length; i += 100) { // advertiser/info takes up to 100 IDs
+    const batch = todo.slice(i, i + 100);
+    try {
+      const url = TT_ADVERTISER_INFO_ENDPOINT + '?' + toQueryString_({
+        advertiser_ids: JSON.stringify(batch),
+        fields: JSON.stringify(['advertiser_id', 'timezone', 'display_timezone'])
+      });
+      const body = fetchReportPageWithRetry_(url, { 'Access-Token': accessToken }, retryBudget || newRetryBudget_(), {
+        report: 'advertiser/info', advertiser_id: batch.join(','), store_id: '', window: '', page: 1
+      });
+      ((body.data && body.data.list) || []).forEach(a => {
+        const tz = [a.display_timezone, a.timezone].filter(isTimeZoneName_)[0];
+        if (tz) cache[String(a.advertiser_id)] = tz;
+      });
+    } catch (err) {
+      if (err.tokenRejected) throw err;
+      console.warn('Advertiser timezone lookup failed for ' + batch.join(',') + ': ' + (err && err.message || err) +
+        ' – using the report timezone.');
+    }
+  }
+
+  if (todo.length) props.setProperty(ADVERTISER_TZ_PROPERTY, JSON.stringify(cache));
+  return cache;
+}
+
+// IANA-style name (Asia/Jakarta, America/Argentina/Buenos_Aires, Etc/GMT-7, UTC)
+function isTimeZoneName_(tz) {
+  return /^(UTC|GMT|[A-Z][A-Za-z_]+(\/[A-Za-z0-9_+\-]+){1,2})$/.test(String(tz || ''));
+}
@@ -0,0 +1,53 @@
+/**
+ * Product GMV Max – Creative-level – Daily breakdown
+ * Dimensions: ["campaign_id","item_group_id","item_id","stat_time_day"]
+ * Filters: campaign_ids, item_group_ids (blank = discovered, see gmvMaxDiscovery.js),
+ *          optional creative_delivery_statuses
+ * Metrics: creative_delivery_status + performance + video view rate funnel, per day
+ *
+ * Output:
+ *  - Data  -> "GMVMax_Product_Creative_Daily"
+ *  - Totals (opt) -> "GMVMax_Product_Creative_Daily_Totals"
+ */
+const PRODUCT_CREATIVE_DAILY_REPORT = {
+  name: 'Product GMV Max – Creative – Daily',
+  promotionType: 'PRODUCT',
+
+  dimensions: ['campaign_id', 'item_group_id', 'item_id', 'stat_time_day'],
+
+  // Default metrics (Metrics sheet overrides)
+  metrics: [
+    'creative_delivery_status',
+    'cost','orders','cost_per_order','gross_revenue','roi',
+    'product_impressions','product_clicks','product_click_rate',
+    'ad_click_rate','ad_conversion_rate',
+    'ad_video_view_rate_2s','ad_video_view_rate_6s',
+    'ad_video_view_rate_p25','ad_video_view_rate_p50','ad_video_view_rate_p75','ad_video_view_rate_p100'
+  ],
+
+  filtering: cfg => {
+    const filtering = {
+      campaign_ids: cfg.campaign_ids,
+      item_group_ids: cfg.item_group_ids
+    };
+    if (cfg.creative_delivery_statuses.length > 0) {
+      filtering.creative_delivery_statuses = cfg.creative_delivery_statuses;
+    }
+    return filtering;
+  },
+
+  columns: [
+    'advertiser_id','store_id','stat_time_day','campaign_id','item_group_id','item_id',
+    { selectedMetrics: true },
+    'timezone'   // advertiser account timezone the days are in
+  ],
+
+  onFailure: 'abort',
+  sheetName: 'GMVMax_Product_Creative_Daily',
+  totalsSheetName: 'GMVMax_Product_Creative_Daily_Totals'
+};
+
+function runProductGmvMaxCreativeDaily(e) {
+  // Any date range: split into ≤30-day stat_time_day windows and merged
+  runGmvMaxReport_(PRODUCT_CREATIVE_DAILY_REPORT, readConfigRows_, campaignItemGroupRows_, { source: runSourceOf_(e) });
+}